@@ -27,13 +27,27 @@ export default {
       return new Response(null, { headers: corsHeaders });
     }
 
-    // Simple API key auth for sensitive endpoints
-    const apiKey = request.headers.get('X-Api-Key');
-    const validKey = env.API_KEY || 'arni-2026';
-
     try {
       // Track this request for Cloudflare usage stats
       await trackCloudflareUsage(env, path);
+      // A failed migration only breaks the routes that use D1 (and /health reports it);
+      // it is retried on the next request
+      const schemaError = await ensureSchema(env).then(() => null, e => {
+        console.error('D1 migration failed:', e);
+        return e;
+      });
+
+      // API key auth - every route outside PUBLIC_ROUTES needs a key with the matching scope
+      const requiredScope = getRequiredScope(path, method);
+      let auth = null;
+      if (requiredScope) {
+        const result = await authenticate(request, env, ctx);
+        if (result.error) return json({ error: result.error }, corsHeaders, 401);
+        if (!hasScope(result.key.scopes, requiredScope)) {
+          return json({ error: 'Insufficient scope', required_scope: requiredScope }, corsHeaders, 403);
+        }
+        auth = result.key;
+      }
 
       // ==================== PUBLIC ENDPOINTS ====================
 
@@ -49,7 +63,8 @@ export default {
         const stats = await getModelStats(env);
         const cfUsage = await getCloudflareUsage(env);
         const maxUsage = await getClaudeMaxUsage(env);
-        return new Response(dashboardPage(stats, cfUsage, maxUsage), {
+        const routing = await getRoutingConfig(env);
+        return new Response(dashboardPage(stats, cfUsage, maxUsage, routing), {
           headers: { 'Content-Type': 'text/html', ...corsHeaders },
         });
       }
@@ -63,6 +78,7 @@ export default {
           timestamp: new Date().toISOString(),
           version: '3.0.0',
           kv: env.MEMORY ? 'connected' : 'not bound',
+          d1: !env.DB ? 'not bound' : schemaError ? `migration failed: ${schemaError.message}` : 'connected',
           stats,
         }, corsHeaders);
       }
@@ -83,18 +99,38 @@ export default {
           data = { raw: body };
         }
 
-        const source = request.headers.get('X-Webhook-Source') || 'unknown';
+        // Senders that can't set custom headers (GitHub, Stripe) pass ?source= instead
+        const source = request.headers.get('X-Webhook-Source') || url.searchParams.get('source') || 'unknown';
         const webhookId = `webhook:${Date.now()}:${source}`;
 
-        if (env.MEMORY) {
-          await env.MEMORY.put(webhookId, JSON.stringify({
-            timestamp: new Date().toISOString(),
-            source,
-            headers: Object.fromEntries(request.headers),
-            data,
-          }), { expirationTtl: 86400 * 30 }); // 30 days
+        // Registered sources must carry a valid signature; unregistered ones are stored unverified
+        const sourceConfig = env.MEMORY ? await env.MEMORY.get(`webhook_source:${source}`) : null;
+        let verified = false;
+        if (sourceConfig) {
+          const check = await verifyWebhookSignature(JSON.parse(sourceConfig), request.headers, body);
+          if (!check.ok) {
+            await incrementStat(env, 'webhook_rejected');
+            await log(env, 'webhook', `Rejected from ${source}: ${check.reason}`);
+            return json({ error: 'Invalid signature', reason: check.reason }, corsHeaders, 401);
+          }
+          verified = true;
+        }
 
+        const delivery = {
+          timestamp: new Date().toISOString(),
+          source,
+          verified,
+          headers: Object.fromEntries(request.headers),
+          data,
+        };
+
+        // Fire matching routing rules and keep what they produced with the delivery
+        delivery.rules = await applyWebhookRules(env, webhookId, delivery);
+
+        if (env.MEMORY) {
+          await env.MEMORY.put(webhookId, JSON.stringify(delivery), { expirationTtl: 86400 * 30 }); // 30 days
           await incrementStat(env, 'webhooks_received');
+          await indexEntity(env, 'webhook', webhookId, webhookDocument(delivery));
         }
 
         await log(env, 'webhook', `Received from ${source}`);
@@ -102,673 +138,6213 @@ export default {
         return json({
           received: true,
           id: webhookId,
+          verified,
+          rules_matched: delivery.rules.length,
           timestamp: new Date().toISOString(),
         }, corsHeaders);
       }
 
-      // List webhooks
+      // List webhooks (?source=&from=&to=&cursor=&limit=), oldest first
       if (path === '/webhooks' && method === 'GET') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const list = await env.MEMORY.list({ prefix: 'webhook:', limit: 50 });
+        const limit = parseLimit(url.searchParams.get('limit'), 50, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const source = url.searchParams.get('source');
+        const from = url.searchParams.get('from') ? Date.parse(url.searchParams.get('from')) : 0;
+        const to = url.searchParams.get('to') ? Date.parse(url.searchParams.get('to')) : Date.now();
+        if (isNaN(from) || isNaN(to)) return json({ error: 'from and to must be ISO dates' }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+        if (cursor && !decodeCursor(cursor)) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+
+        const page = await listWebhookKeys(env, { source, from, to, limit, cursor });
         return json({
-          webhooks: list.keys.map(k => ({
+          webhooks: page.keys.map(k => ({
             id: k.name,
+            ...parseWebhookId(k.name),
             expiration: k.expiration
-          }))
+          })),
+          next_cursor: page.next_cursor,
         }, corsHeaders);
       }
 
-      // ==================== MEMORY/KV ====================
+      // Replay a stored delivery through the rules, or forward it to another URL
+      if (path.match(/^\/webhooks\/[^/]+\/replay$/) && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = webhookKey(path.replace('/webhooks/', '').replace('/replay', ''));
+        const stored = await env.MEMORY.get(id);
+        if (!stored) return json({ error: 'Webhook not found' }, corsHeaders, 404);
+        const delivery = JSON.parse(stored);
+        const body = await request.json().catch(() => ({}));
+
+        if (body.url) {
+          // Forwarding is an outbound request like /proxy, so it needs that scope too
+          if (!hasScope(auth.scopes, 'proxy')) {
+            return json({ error: 'Insufficient scope', required_scope: 'proxy' }, corsHeaders, 403);
+          }
+          const start = Date.now();
+          const response = await fetch(body.url, {
+            method: 'POST',
+            headers: { ...forwardableHeaders(delivery.headers), ...(body.headers || {}), 'X-Arni-Replay': id },
+            body: delivery.data && delivery.data.raw !== undefined && Object.keys(delivery.data).length === 1
+              ? delivery.data.raw
+              : JSON.stringify(delivery.data),
+          });
+          const responseText = await response.text();
+          await log(env, 'webhook', `Replayed ${id} -> ${body.url} (${response.status})`);
+          return json({
+            replayed: true,
+            id,
+            forwarded_to: body.url,
+            status: response.status,
+            latency_ms: Date.now() - start,
+            response: responseText.slice(0, 2000),
+          }, corsHeaders);
+        }
 
-      if (path === '/memory' && method === 'GET') {
+        const rules = await applyWebhookRules(env, id, delivery);
+        delivery.replays = [...(delivery.replays || []), { timestamp: new Date().toISOString(), rules }];
+        // Keep the original 30-day expiry, but never below the KV minimum of 60 seconds
+        const remaining = Math.floor(Date.parse(delivery.timestamp) / 1000) + 86400 * 30 - Math.floor(Date.now() / 1000);
+        await env.MEMORY.put(id, JSON.stringify(delivery), { expirationTtl: Math.max(60, remaining || 0) });
+        await log(env, 'webhook', `Replayed ${id} through rules (${rules.length} matched)`);
+        return json({ replayed: true, id, rules }, corsHeaders);
+      }
+
+      // Get a single stored delivery
+      if (path.startsWith('/webhooks/') && method === 'GET') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const prefix = url.searchParams.get('prefix') || '';
-        const list = await env.MEMORY.list({ prefix, limit: 100 });
-        return json({ keys: list.keys.map(k => k.name) }, corsHeaders);
+        const id = webhookKey(path.replace('/webhooks/', ''));
+        const stored = await env.MEMORY.get(id);
+        if (!stored) return json({ error: 'Webhook not found' }, corsHeaders, 404);
+        return json({ id, ...JSON.parse(stored) }, corsHeaders);
       }
 
-      if (path.startsWith('/memory/') && method === 'GET') {
+      // ==================== WEBHOOK SOURCES ====================
+
+      // List registered webhook sources (secrets are masked)
+      if (path === '/api/webhook-sources' && method === 'GET') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const key = decodeURIComponent(path.replace('/memory/', ''));
-        const value = await env.MEMORY.get(key);
-        if (value === null) return json({ error: 'Key not found' }, corsHeaders, 404);
-        try {
-          return json({ key, value: JSON.parse(value) }, corsHeaders);
-        } catch {
-          return json({ key, value }, corsHeaders);
-        }
+        const limit = parseLimit(url.searchParams.get('limit'), 100, KV_PAGE_MAX);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${KV_PAGE_MAX}` }, corsHeaders, 400);
+        const page = await listKVPage(env, 'webhook_source:', limit, url.searchParams.get('cursor'));
+        return json({
+          sources: page.entries.map(e => ({ ...e.value, secret: '********' })),
+          next_cursor: page.next_cursor,
+        }, corsHeaders);
       }
 
-      if (path.startsWith('/memory/') && method === 'PUT') {
+      // Register or replace a webhook source and its signing secret
+      if (path.startsWith('/api/webhook-sources/') && method === 'PUT') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const key = decodeURIComponent(path.replace('/memory/', ''));
-        const body = await request.text();
-        const ttl = url.searchParams.get('ttl');
-        const options = ttl ? { expirationTtl: parseInt(ttl) } : {};
-        await env.MEMORY.put(key, body, options);
-        return json({ stored: true, key }, corsHeaders);
+        const name = webhookSourceName(path);
+        if (!name) return json({ error: 'Invalid source name' }, corsHeaders, 400);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const type = body.type || 'hmac';
+        if (!WEBHOOK_SOURCE_TYPES.includes(type)) {
+          return json({ error: `type must be one of: ${WEBHOOK_SOURCE_TYPES.join(', ')}` }, corsHeaders, 400);
+        }
+        if (!body.secret || typeof body.secret !== 'string') return json({ error: 'secret required' }, corsHeaders, 400);
+        const algorithm = body.algorithm || 'SHA-256';
+        if (!['SHA-1', 'SHA-256', 'SHA-512'].includes(algorithm)) {
+          return json({ error: 'algorithm must be SHA-1, SHA-256 or SHA-512' }, corsHeaders, 400);
+        }
+        const encoding = body.encoding || 'hex';
+        if (!['hex', 'base64'].includes(encoding)) return json({ error: 'encoding must be hex or base64' }, corsHeaders, 400);
+
+        const config = {
+          name,
+          type,
+          secret: body.secret,
+          created: new Date().toISOString(),
+        };
+        if (type === 'stripe') {
+          config.tolerance_seconds = parseInt(body.tolerance_seconds) || 300;
+        }
+        if (type === 'hmac') {
+          config.header = body.header || 'X-Signature';
+          config.algorithm = algorithm;
+          config.encoding = encoding;
+          config.prefix = body.prefix || '';
+        }
+        await env.MEMORY.put(`webhook_source:${name}`, JSON.stringify(config));
+        await log(env, 'webhook', `Source registered: ${name} (${type})`);
+        return json({ stored: true, source: { ...config, secret: '********' } }, corsHeaders);
       }
 
-      if (path.startsWith('/memory/') && method === 'DELETE') {
+      if (path.startsWith('/api/webhook-sources/') && method === 'DELETE') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const key = decodeURIComponent(path.replace('/memory/', ''));
-        await env.MEMORY.delete(key);
-        return json({ deleted: true, key }, corsHeaders);
+        const name = webhookSourceName(path);
+        if (!name) return json({ error: 'Invalid source name' }, corsHeaders, 400);
+        if (!(await env.MEMORY.get(`webhook_source:${name}`))) return json({ error: 'Source not found' }, corsHeaders, 404);
+        await env.MEMORY.delete(`webhook_source:${name}`);
+        await log(env, 'webhook', `Source removed: ${name}`);
+        return json({ deleted: true, name }, corsHeaders);
       }
 
-      // ==================== TASKS ====================
+      // ==================== WEBHOOK RULES ====================
 
-      if (path === '/tasks' && method === 'GET') {
+      if (path === '/api/webhook-rules' && method === 'GET') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const list = await env.MEMORY.list({ prefix: 'task:', limit: 100 });
-        const tasks = await Promise.all(
-          list.keys.map(async k => {
-            const val = await env.MEMORY.get(k.name);
-            return val ? { id: k.name, ...JSON.parse(val) } : null;
-          })
-        );
-        return json({ tasks: tasks.filter(Boolean) }, corsHeaders);
+        const limit = parseLimit(url.searchParams.get('limit'), 100, KV_PAGE_MAX);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${KV_PAGE_MAX}` }, corsHeaders, 400);
+        const page = await listKVPage(env, 'webhook_rule:', limit, url.searchParams.get('cursor'));
+        return json({
+          rules: page.entries.map(e => ({ id: e.name, ...e.value })),
+          next_cursor: page.next_cursor,
+        }, corsHeaders);
       }
 
-      if (path === '/tasks' && method === 'POST') {
+      if (path === '/api/webhook-rules' && method === 'POST') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
         const body = await request.json();
-        const id = `task:${Date.now()}`;
-        const task = {
-          title: body.title,
-          description: body.description || '',
-          status: 'pending',
-          priority: body.priority || 'normal',
+        const error = validateWebhookRule(body);
+        if (error) return json({ error }, corsHeaders, 400);
+        const id = `webhook_rule:${Date.now()}_${randomHex(4)}`;
+        const rule = {
+          name: body.name || 'Unnamed rule',
+          enabled: body.enabled !== false,
+          source: body.source || '*',
+          allow_unverified: body.allow_unverified === true,
+          headers: body.headers || {},
+          conditions: body.conditions || [],
+          actions: body.actions,
           created: new Date().toISOString(),
           updated: new Date().toISOString(),
         };
-        await env.MEMORY.put(id, JSON.stringify(task));
-        await log(env, 'task', `Created: ${body.title}`);
-        return json({ created: true, id, task }, corsHeaders);
+        await env.MEMORY.put(id, JSON.stringify(rule));
+        await log(env, 'webhook', `Rule created: ${rule.name}`);
+        return json({ created: true, id, rule }, corsHeaders);
       }
 
-      if (path.startsWith('/tasks/') && method === 'PUT') {
+      if (path.startsWith('/api/webhook-rules/') && method === 'PUT') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const id = 'task:' + path.replace('/tasks/', '');
+        const id = 'webhook_rule:' + path.replace('/api/webhook-rules/', '');
         const existing = await env.MEMORY.get(id);
-        if (!existing) return json({ error: 'Task not found' }, corsHeaders, 404);
-        const task = JSON.parse(existing);
+        if (!existing) return json({ error: 'Rule not found' }, corsHeaders, 404);
         const updates = await request.json();
-        const updated = { ...task, ...updates, updated: new Date().toISOString() };
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const rule = JSON.parse(existing);
+        const updated = { ...rule, updated: new Date().toISOString() };
+        for (const field of ['name', 'enabled', 'source', 'allow_unverified', 'headers', 'conditions', 'actions']) {
+          if (updates[field] !== undefined) updated[field] = updates[field];
+        }
+        const error = validateWebhookRule(updated);
+        if (error) return json({ error }, corsHeaders, 400);
         await env.MEMORY.put(id, JSON.stringify(updated));
-        await log(env, 'task', `Updated: ${updated.title} -> ${updates.status || 'modified'}`);
-        return json({ updated: true, id, task: updated }, corsHeaders);
+        await log(env, 'webhook', `Rule updated: ${updated.name}`);
+        return json({ updated: true, id, rule: updated }, corsHeaders);
       }
 
-      if (path.startsWith('/tasks/') && method === 'DELETE') {
+      if (path.startsWith('/api/webhook-rules/') && method === 'DELETE') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const id = 'task:' + path.replace('/tasks/', '');
+        const id = 'webhook_rule:' + path.replace('/api/webhook-rules/', '');
+        if (!(await env.MEMORY.get(id))) return json({ error: 'Rule not found' }, corsHeaders, 404);
         await env.MEMORY.delete(id);
-        await log(env, 'task', `Deleted: ${id}`);
+        await log(env, 'webhook', `Rule deleted: ${id}`);
         return json({ deleted: true, id }, corsHeaders);
       }
 
-      // ==================== NOTES ====================
+      // ==================== SUBSCRIPTIONS ====================
 
-      if (path === '/notes' && method === 'GET') {
+      // List outbound webhook subscriptions (secrets are masked)
+      if (path === '/api/subscriptions' && method === 'GET') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const list = await env.MEMORY.list({ prefix: 'note:', limit: 100 });
-        const notes = await Promise.all(
-          list.keys.map(async k => {
-            const val = await env.MEMORY.get(k.name);
-            return val ? { id: k.name, ...JSON.parse(val) } : null;
-          })
-        );
-        return json({ notes: notes.filter(Boolean) }, corsHeaders);
+        const limit = parseLimit(url.searchParams.get('limit'), 100, KV_PAGE_MAX);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${KV_PAGE_MAX}` }, corsHeaders, 400);
+        const page = await listKVPage(env, 'subscription:', limit, url.searchParams.get('cursor'));
+        return json({
+          subscriptions: page.entries.map(e => ({ id: e.name, ...e.value, secret: '********' })),
+          events: SUBSCRIPTION_EVENTS,
+          next_cursor: page.next_cursor,
+        }, corsHeaders);
       }
 
-      if (path === '/notes' && method === 'POST') {
+      // Subscribe a URL to events - the signing secret is only returned here
+      if (path === '/api/subscriptions' && method === 'POST') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
         const body = await request.json();
-        const id = `note:${Date.now()}`;
-        const note = {
-          title: body.title || 'Untitled',
-          content: body.content,
-          tags: body.tags || [],
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        if (!body.url || !/^https?:\/\//.test(body.url)) return json({ error: 'url must be an http(s) URL' }, corsHeaders, 400);
+        if (!Array.isArray(body.events) || !body.events.length) return json({ error: 'events must be a non-empty array' }, corsHeaders, 400);
+        const unknown = body.events.filter(e => e !== '*' && !SUBSCRIPTION_EVENTS.includes(e));
+        if (unknown.length) return json({ error: `Unknown events: ${unknown.join(', ')}` }, corsHeaders, 400);
+        const invalid = validateSubscriptionFields(body);
+        if (invalid) return json(invalid, corsHeaders, 400);
+
+        const id = `subscription:${Date.now()}_${randomHex(4)}`;
+        const subscription = {
+          url: body.url,
+          events: body.events,
+          secret: body.secret || randomHex(32),
+          enabled: body.enabled !== false,
           created: new Date().toISOString(),
-          updated: new Date().toISOString(),
         };
-        await env.MEMORY.put(id, JSON.stringify(note));
-        await log(env, 'note', `Created: ${note.title}`);
-        return json({ created: true, id, note }, corsHeaders);
+        await env.MEMORY.put(id, JSON.stringify(subscription));
+        await log(env, 'subscription', `Created: ${subscription.url} (${subscription.events.join(', ')})`);
+        return json({ created: true, id, subscription }, corsHeaders);
       }
 
-      if (path.startsWith('/notes/') && method === 'PUT') {
+      // Delivery log for one subscription, oldest first (keys sort by time)
+      if (path.match(/^\/api\/subscriptions\/[^/]+\/deliveries$/) && method === 'GET') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const id = 'note:' + path.replace('/notes/', '');
+        const subId = path.replace('/api/subscriptions/', '').replace('/deliveries', '');
+        const limit = parseLimit(url.searchParams.get('limit'), 100, KV_PAGE_MAX);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${KV_PAGE_MAX}` }, corsHeaders, 400);
+        const page = await listKVPage(env, `subscription_delivery:${subId}:`, limit, url.searchParams.get('cursor'));
+        return json({ deliveries: page.entries.map(e => e.value), next_cursor: page.next_cursor }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/subscriptions/') && method === 'PUT') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'subscription:' + path.replace('/api/subscriptions/', '');
         const existing = await env.MEMORY.get(id);
-        if (!existing) return json({ error: 'Note not found' }, corsHeaders, 404);
-        const note = JSON.parse(existing);
+        if (!existing) return json({ error: 'Subscription not found' }, corsHeaders, 404);
         const updates = await request.json();
-        const updated = { ...note, ...updates, updated: new Date().toISOString() };
-        await env.MEMORY.put(id, JSON.stringify(updated));
-        return json({ updated: true, id, note: updated }, corsHeaders);
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        if (updates.url !== undefined && !/^https?:\/\//.test(updates.url)) return json({ error: 'url must be an http(s) URL' }, corsHeaders, 400);
+        if (updates.events !== undefined) {
+          if (!Array.isArray(updates.events) || !updates.events.length) return json({ error: 'events must be a non-empty array' }, corsHeaders, 400);
+          const unknown = updates.events.filter(e => e !== '*' && !SUBSCRIPTION_EVENTS.includes(e));
+          if (unknown.length) return json({ error: `Unknown events: ${unknown.join(', ')}` }, corsHeaders, 400);
+        }
+        // The masked secret from a previous response keeps the stored one
+        if (updates.secret === '********') delete updates.secret;
+        const invalid = validateSubscriptionFields(updates);
+        if (invalid) return json(invalid, corsHeaders, 400);
+        const subscription = JSON.parse(existing);
+        for (const field of ['url', 'events', 'secret', 'enabled']) {
+          if (updates[field] !== undefined) subscription[field] = updates[field];
+        }
+        await env.MEMORY.put(id, JSON.stringify(subscription));
+        return json({ updated: true, id, subscription: { ...subscription, secret: '********' } }, corsHeaders);
       }
 
-      if (path.startsWith('/notes/') && method === 'DELETE') {
+      if (path.startsWith('/api/subscriptions/') && method === 'DELETE') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const id = 'note:' + path.replace('/notes/', '');
+        const id = 'subscription:' + path.replace('/api/subscriptions/', '');
+        if (!(await env.MEMORY.get(id))) return json({ error: 'Subscription not found' }, corsHeaders, 404);
         await env.MEMORY.delete(id);
+        await log(env, 'subscription', `Deleted: ${id}`);
         return json({ deleted: true, id }, corsHeaders);
       }
 
-      // ==================== LOGS ====================
+      // ==================== MEMORY/KV ====================
 
-      if (path === '/logs' && method === 'GET') {
+      if (path === '/memory' && method === 'GET') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const limit = parseInt(url.searchParams.get('limit') || '50');
-        const category = url.searchParams.get('category');
-        const prefix = category ? `log:${category}:` : 'log:';
-        const list = await env.MEMORY.list({ prefix, limit });
-        const logs = await Promise.all(
-          list.keys.map(async k => {
-            const val = await env.MEMORY.get(k.name);
-            return val ? JSON.parse(val) : null;
-          })
-        );
-        return json({ logs: logs.filter(Boolean).reverse() }, corsHeaders);
+        const prefix = url.searchParams.get('prefix') || '';
+        const limit = parseLimit(url.searchParams.get('limit'), 100, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const list = await env.MEMORY.list({ prefix, limit, cursor: url.searchParams.get('cursor') || undefined });
+        return json({
+          keys: list.keys.map(k => k.name),
+          next_cursor: list.list_complete ? null : list.cursor,
+        }, corsHeaders);
       }
 
-      // ==================== CONFIG ====================
-
-      if (path === '/config' && method === 'GET') {
+      // Stream one page of keys under ?prefix= as NDJSON: { key, value, metadata, ttl }.
+      // The next page's cursor is in X-Next-Cursor (absent on the last page).
+      if (path === '/memory/export' && method === 'GET') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const config = await env.MEMORY.get('config:main');
-        return json({ config: config ? JSON.parse(config) : {} }, corsHeaders);
+        const prefix = url.searchParams.get('prefix') || '';
+        const limit = parseLimit(url.searchParams.get('limit'), MEMORY_EXPORT_PAGE, MEMORY_EXPORT_PAGE);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${MEMORY_EXPORT_PAGE}` }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+        const list = await env.MEMORY.list({ prefix, limit, cursor: cursor || undefined });
+        const includeReserved = hasScope(auth.scopes, 'admin');
+        const { readable, writable } = new TransformStream();
+        ctx.waitUntil(writeMemoryExport(env, list.keys, includeReserved, writable));
+        if (!cursor) await log(env, 'memory', `Export started: prefix "${prefix}"`);
+        const headers = {
+          'Content-Type': 'application/x-ndjson',
+          'Content-Disposition': `attachment; filename="arni-memory-${new Date().toISOString().split('T')[0]}.ndjson"`,
+          'Access-Control-Expose-Headers': 'X-Next-Cursor',
+          ...corsHeaders,
+        };
+        if (!list.list_complete) headers['X-Next-Cursor'] = list.cursor;
+        return new Response(readable, { headers });
       }
 
-      if (path === '/config' && method === 'PUT') {
+      // Import NDJSON from /memory/export (?mode=skip|overwrite&dry_run=true)
+      if (path === '/memory/import' && method === 'POST') {
         if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
-        const body = await request.text();
-        await env.MEMORY.put('config:main', body);
-        await log(env, 'config', 'Configuration updated');
-        return json({ updated: true }, corsHeaders);
+        const mode = url.searchParams.get('mode') || 'skip';
+        if (!['skip', 'overwrite'].includes(mode)) return json({ error: 'mode must be skip or overwrite' }, corsHeaders, 400);
+        const dryRun = url.searchParams.get('dry_run') === 'true';
+        const ndjson = await request.text();
+        const lines = ndjson.split('\n').filter(line => line.trim()).length;
+        if (lines > MEMORY_IMPORT_MAX_LINES) {
+          return json({ error: `Import at most ${MEMORY_IMPORT_MAX_LINES} lines per request (got ${lines}); split the file` }, corsHeaders, 413);
+        }
+        const report = await importMemory(env, ndjson, {
+          mode,
+          dryRun,
+          includeReserved: hasScope(auth.scopes, 'admin'),
+        });
+        await log(env, 'memory', `Import${dryRun ? ' (dry run)' : ''}: ${report.written} written, ${report.skipped} skipped, ${report.invalid} invalid`);
+        return json(report, corsHeaders);
       }
 
-      // ==================== PROXY ====================
+      // Current value plus the archived previous versions, newest first
+      if (path.startsWith('/memory/') && path.endsWith('/history') && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const key = decodeURIComponent(path.replace('/memory/', '').replace(/\/history$/, ''));
+        const current = await getMemoryEntry(env, key);
+        const archived = await getMemoryHistory(env, key);
+        const versions = [
+          ...(current ? [{ ...current, current: true }] : []),
+          ...archived.reverse(),
+        ].map(v => ({ ...v, value: parseMaybeJson(v.value) }));
+        if (!versions.length) return json({ error: 'Key not found' }, corsHeaders, 404);
+        return json({ key, versions }, corsHeaders);
+      }
 
-      if (path === '/proxy' && method === 'POST') {
+      // Restore a previous version as the new current value
+      if (path.startsWith('/memory/') && path.endsWith('/restore') && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const key = decodeURIComponent(path.replace('/memory/', '').replace(/\/restore$/, ''));
         const body = await request.json();
-        const { url: targetUrl, method: targetMethod = 'GET', headers: targetHeaders = {}, data } = body;
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const archived = (await getMemoryHistory(env, key)).find(v => v.version === Number(body.version));
+        if (!archived) return json({ error: `Version ${body.version} not found` }, corsHeaders, 404);
+        const current = await getMemoryEntry(env, key);
+        const failed = checkPreconditions(request, current);
+        if (failed) return json({ error: failed, etag: current?.etag || null, version: current?.version || null }, corsHeaders, 412);
+        const stored = await putMemoryEntry(env, key, archived.value, current, {});
+        await log(env, 'memory', `Restored ${key} to version ${archived.version}`);
+        return json({ restored: true, key, from_version: archived.version, ...stored }, { ...corsHeaders, ETag: stored.etag });
+      }
 
-        if (!targetUrl) return json({ error: 'URL required' }, corsHeaders, 400);
+      if (path.startsWith('/memory/') && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const key = decodeURIComponent(path.replace('/memory/', ''));
+        const entry = await getMemoryEntry(env, key);
+        if (!entry) return json({ error: 'Key not found' }, corsHeaders, 404);
+        return json({
+          key,
+          value: parseMaybeJson(entry.value),
+          version: entry.version,
+          etag: entry.etag,
+        }, { ...corsHeaders, ETag: entry.etag });
+      }
 
-        const proxyResponse = await fetch(targetUrl, {
-          method: targetMethod,
-          headers: targetHeaders,
-          body: data ? JSON.stringify(data) : undefined,
-        });
+      // PUT/DELETE honour If-Match / If-None-Match and answer 412 on conflict
+      if (path.startsWith('/memory/') && method === 'PUT') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const key = decodeURIComponent(path.replace('/memory/', ''));
+        const body = await request.text();
+        const ttl = url.searchParams.get('ttl');
+        if (ttl && !(/^\d+$/.test(ttl) && parseInt(ttl) >= 60)) return json({ error: 'ttl must be at least 60 seconds' }, corsHeaders, 400);
+        const options = ttl ? { expirationTtl: parseInt(ttl) } : {};
+        const current = await getMemoryEntry(env, key);
+        const failed = checkPreconditions(request, current);
+        if (failed) return json({ error: failed, etag: current?.etag || null, version: current?.version || null }, corsHeaders, 412);
+        const stored = await putMemoryEntry(env, key, body, current, options);
+        return json({ stored: true, key, ...stored }, { ...corsHeaders, ETag: stored.etag });
+      }
 
-        const responseText = await proxyResponse.text();
-        let responseData;
-        try {
-          responseData = JSON.parse(responseText);
-        } catch {
-          responseData = responseText;
-        }
+      if (path.startsWith('/memory/') && method === 'DELETE') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const key = decodeURIComponent(path.replace('/memory/', ''));
+        const current = await getMemoryEntry(env, key);
+        const failed = checkPreconditions(request, current);
+        if (failed) return json({ error: failed, etag: current?.etag || null, version: current?.version || null }, corsHeaders, 412);
+        if (current) await archiveMemoryVersion(env, key, current);
+        await env.MEMORY.delete(key);
+        return json({ deleted: true, key }, corsHeaders);
+      }
 
-        await log(env, 'proxy', `${targetMethod} ${targetUrl} -> ${proxyResponse.status}`);
+      // ==================== TASKS ====================
+
+      // List tasks (?status=&priority=&tag=&due_before=&sort=&cursor=&limit=)
+      if (path === '/tasks' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 100, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+        const offset = cursor ? decodeCursor(cursor)?.offset : 0;
+        if (!Number.isInteger(offset) || offset < 0) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+
+        const query = buildTaskQuery(url.searchParams);
+        if (query.error) return json({ error: query.error, field: query.field }, corsHeaders, 400);
+        const result = await env.DB.prepare(
+          `SELECT * FROM tasks ${query.where} ORDER BY ${query.orderBy} LIMIT ? OFFSET ?`
+        ).bind(...query.params, limit + 1, offset).all();
 
+        const rows = result.results.slice(0, limit);
         return json({
-          status: proxyResponse.status,
-          headers: Object.fromEntries(proxyResponse.headers),
-          data: responseData,
+          tasks: rows.map(rowToTask),
+          next_cursor: result.results.length > limit ? encodeCursor({ offset: offset + limit }) : null,
         }, corsHeaders);
       }
 
-      // ==================== STATS ====================
+      if (path === '/tasks' && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const invalid = validateTaskFields(body, { partial: false }) || await validateTaskLinks(env, null, body);
+        if (invalid) return json(invalid, corsHeaders, 400);
+        const { id, task } = await createTask(env, body, auth.name);
+        return json({ created: true, id, task }, corsHeaders);
+      }
 
-      if (path === '/stats' && method === 'GET') {
-        const stats = await getStats(env);
-        return json({ stats }, corsHeaders);
+      // Whole task graph for planning: nodes plus parent and dependency edges
+      if (path === '/tasks/graph' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const tasks = await env.DB.prepare('SELECT id, title, status, priority, parent_id, due FROM tasks ORDER BY created').all();
+        const dependencies = await env.DB.prepare('SELECT task_id, depends_on FROM task_dependencies').all();
+        return json({
+          nodes: tasks.results,
+          edges: [
+            ...tasks.results.filter(t => t.parent_id).map(t => ({ from: t.parent_id, to: t.id, type: 'subtask' })),
+            ...dependencies.results.map(d => ({ from: d.depends_on, to: d.task_id, type: 'blocks' })),
+          ],
+        }, corsHeaders);
       }
 
-      // ==================== HEALTH CHECK ====================
+      // Add a "blocked by" dependency
+      if (path.match(/^\/tasks\/[^/]+\/dependencies$/) && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = taskKeyFromPath(path.split('/')[2]);
+        const task = await getTask(env, id);
+        if (!task) return json({ error: 'Task not found' }, corsHeaders, 404);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        if (typeof body.depends_on !== 'string') return json({ error: 'depends_on must be a task id', field: 'depends_on' }, corsHeaders, 400);
+        const dependsOnId = taskKey(body.depends_on);
+        if (dependsOnId === id) return json({ error: 'a task cannot depend on itself', field: 'depends_on' }, corsHeaders, 400);
+        const dependency = await getTask(env, dependsOnId);
+        if (!dependency) return json({ error: `dependency ${dependsOnId} not found`, field: 'depends_on' }, corsHeaders, 400);
+        if (await dependsOn(env, dependsOnId, id)) {
+          return json({ error: 'dependency would create a cycle', field: 'depends_on' }, corsHeaders, 400);
+        }
 
-      // Manual VPS health check
-      if (path === '/api/health/vps' && method === 'GET') {
-        try {
-          const start = Date.now();
-          const response = await fetch('http://161.97.121.62:18799/health', {
-            signal: AbortSignal.timeout(10000)
-          });
-          const latency = Date.now() - start;
-          const data = await response.json().catch(() => ({}));
+        await env.DB.prepare(
+          'INSERT OR IGNORE INTO task_dependencies (task_id, depends_on, created) VALUES (?, ?, ?)'
+        ).bind(id, dependsOnId, new Date().toISOString()).run();
+        let current = task;
+        if (!TASK_RESOLVED_STATUSES.includes(dependency.status) && task.status === 'pending') {
+          current = (await transitionTask(env, task, 'blocked', auth.name, `blocked by ${dependsOnId}`)).task;
+        }
+        return json({ added: true, id, depends_on: dependsOnId, task: current }, corsHeaders);
+      }
 
-          return json({
-            status: response.ok ? 'ok' : 'error',
-            latency_ms: latency,
-            http_status: response.status,
-            vps_response: data
-          }, corsHeaders);
-        } catch (e) {
-          return json({
-            status: 'unreachable',
-            error: e.message
-          }, corsHeaders, 503);
+      if (path.match(/^\/tasks\/[^/]+\/dependencies\/[^/]+$/) && method === 'DELETE') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const [, , rawId, , rawDep] = path.split('/');
+        const id = taskKeyFromPath(rawId);
+        const dependsOnId = taskKeyFromPath(rawDep);
+        await env.DB.prepare('DELETE FROM task_dependencies WHERE task_id = ? AND depends_on = ?').bind(id, dependsOnId).run();
+        let task = await getTask(env, id);
+        if (task?.status === 'blocked' && !(await getUnresolvedDependencies(env, id)).length) {
+          task = (await transitionTask(env, task, 'pending', auth.name, `dependency ${dependsOnId} removed`)).task;
         }
+        return json({ removed: true, id, depends_on: dependsOnId, task }, corsHeaders);
       }
 
-      // Health check history
-      if (path === '/api/health/history' && method === 'GET') {
+      // Task with its subtasks, dependencies and transition history
+      if (path.startsWith('/tasks/') && method === 'GET') {
         if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
-        const result = await env.DB.prepare(
-          "SELECT * FROM logs WHERE category = 'health' ORDER BY id DESC LIMIT 50"
-        ).all();
-        return json({ checks: result.results }, corsHeaders);
+        const id = taskKeyFromPath(path.replace('/tasks/', ''));
+        const task = await getTask(env, id);
+        if (!task) return json({ error: 'Task not found' }, corsHeaders, 404);
+        const [subtasks, blockedBy, blocks, history] = await env.DB.batch([
+          env.DB.prepare('SELECT id, title, status FROM tasks WHERE parent_id = ? ORDER BY created').bind(id),
+          env.DB.prepare('SELECT t.id, t.title, t.status FROM task_dependencies d JOIN tasks t ON t.id = d.depends_on WHERE d.task_id = ?').bind(id),
+          env.DB.prepare('SELECT t.id, t.title, t.status FROM task_dependencies d JOIN tasks t ON t.id = d.task_id WHERE d.depends_on = ?').bind(id),
+          env.DB.prepare('SELECT from_status, to_status, actor, note, created FROM task_transitions WHERE task_id = ? ORDER BY id').bind(id),
+        ]);
+        return json({
+          task,
+          subtasks: subtasks.results,
+          blocked_by: blockedBy.results,
+          blocks: blocks.results,
+          history: history.results,
+        }, corsHeaders);
       }
 
-      // ==================== QUEUE API ====================
+      if (path.startsWith('/tasks/') && method === 'PUT') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = taskKeyFromPath(path.replace('/tasks/', ''));
+        let task = await getTask(env, id);
+        if (!task) return json({ error: 'Task not found' }, corsHeaders, 404);
+        const updates = await request.json();
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const invalid = validateTaskFields(updates, { partial: true }) || await validateTaskLinks(env, id, updates);
+        if (invalid) return json(invalid, corsHeaders, 400);
+
+        // Status changes go through the lifecycle first so a rejected move changes nothing
+        if (updates.status !== undefined && updates.status !== task.status) {
+          const result = await transitionTask(env, task, updates.status, auth.name);
+          if (result.error) {
+            const { status, ...error } = result;
+            return json({ ...error, field: 'status' }, corsHeaders, status);
+          }
+          task = result.task;
+        }
 
-      // Add job to queue
-      if (path === '/api/queue' && method === 'POST') {
-        if (!env.JOBS_QUEUE) return json({ error: 'Queue not configured' }, corsHeaders, 500);
-        const body = await request.json();
-        await env.JOBS_QUEUE.send(body);
-        await log(env, 'queue', `Job queued: ${body.type}`);
-        return json({ queued: true, job: body.type }, corsHeaders);
+        const updated = { ...task, ...normalizeTaskFields(updates), updated: new Date().toISOString() };
+        await env.DB.prepare(
+          'UPDATE tasks SET title = ?, description = ?, priority = ?, tags = ?, due = ?, parent_id = ?, updated = ? WHERE id = ?'
+        ).bind(updated.title, updated.description, updated.priority, JSON.stringify(updated.tags), updated.due, updated.parent_id, updated.updated, id).run();
+        await indexEntity(env, 'task', id, taskDocument(updated));
+        await log(env, 'task', `Updated: ${updated.title}`);
+        return json({ updated: true, id, task: updated }, corsHeaders);
       }
 
-      // Get queue status
-      if (path === '/api/queue/status' && method === 'GET') {
+      if (path.startsWith('/tasks/') && method === 'DELETE') {
         if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
-        const result = await env.DB.prepare(
-          "SELECT * FROM logs WHERE category = 'queue' ORDER BY id DESC LIMIT 20"
-        ).all();
-        return json({ jobs: result.results }, corsHeaders);
+        const id = taskKeyFromPath(path.replace('/tasks/', ''));
+        if (!(await getTask(env, id))) return json({ error: 'Task not found' }, corsHeaders, 404);
+        await env.DB.batch([
+          env.DB.prepare('DELETE FROM tasks WHERE id = ?').bind(id),
+          env.DB.prepare('UPDATE tasks SET parent_id = NULL WHERE parent_id = ?').bind(id),
+          env.DB.prepare('DELETE FROM task_dependencies WHERE task_id = ?').bind(id),
+        ]);
+        // Tasks that only waited on this one can move again
+        const dependents = await env.DB.prepare('SELECT task_id FROM task_dependencies WHERE depends_on = ?').bind(id).all();
+        await env.DB.prepare('DELETE FROM task_dependencies WHERE depends_on = ?').bind(id).run();
+        for (const { task_id } of dependents.results) {
+          const dependent = await getTask(env, task_id);
+          if (dependent?.status === 'blocked' && !(await getUnresolvedDependencies(env, task_id)).length) {
+            await transitionTask(env, dependent, 'pending', 'system', `dependency ${id} deleted`);
+          }
+        }
+        await removeFromIndex(env, 'task', id);
+        await log(env, 'task', `Deleted: ${id}`);
+        return json({ deleted: true, id }, corsHeaders);
       }
 
-      // ==================== NOTION API ====================
+      // One-time copy of legacy task:* KV records into D1 (also run by the cron)
+      if (path === '/api/migrations/tasks' && method === 'POST') {
+        if (!env.DB || !env.MEMORY) return json({ error: 'D1 and KV required' }, corsHeaders, 500);
+        const result = await migrateKvTasks(env);
+        return json(result, corsHeaders);
+      }
 
-      // Search Notion databases
-      if (path === '/api/notion/search' && method === 'POST') {
-        if (!env.NOTION_API_KEY) return json({ error: 'Notion not configured' }, corsHeaders, 500);
-        const body = await request.json();
-        const response = await fetch('https://api.notion.com/v1/search', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${env.NOTION_API_KEY}`,
-            'Notion-Version': '2022-06-28',
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(body),
-        });
-        const data = await response.json();
-        return json(data, corsHeaders);
+      // ==================== TASK DISPATCH ====================
+
+      if (path === '/api/dispatch' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 50, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+        const offset = cursor ? decodeCursor(cursor)?.offset : 0;
+        if (!Number.isInteger(offset) || offset < 0) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+        const state = url.searchParams.get('state');
+        if (state && !DISPATCH_STATES.includes(state)) {
+          return json({ error: `state must be one of: ${DISPATCH_STATES.join(', ')}`, field: 'state' }, corsHeaders, 400);
+        }
+        const result = await env.DB.prepare(
+          `SELECT d.*, t.title, t.status FROM task_dispatch d JOIN tasks t ON t.id = d.task_id
+           ${state ? 'WHERE d.state = ?' : ''} ORDER BY d.enqueued_at DESC LIMIT ? OFFSET ?`
+        ).bind(...(state ? [state] : []), limit + 1, offset).all();
+        const rows = result.results.slice(0, limit);
+        return json({
+          enabled: isDispatchEnabled(env),
+          dispatch: rows,
+          next_cursor: result.results.length > limit ? encodeCursor({ offset: offset + limit }) : null,
+        }, corsHeaders);
       }
 
-      // Query Notion database
-      if (path.startsWith('/api/notion/database/') && method === 'POST') {
-        if (!env.NOTION_API_KEY) return json({ error: 'Notion not configured' }, corsHeaders, 500);
-        const dbId = path.replace('/api/notion/database/', '').replace('/query', '');
+      // Worker asks for its next task
+      if (path === '/api/dispatch/claim' && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
         const body = await request.json();
-        const response = await fetch(`https://api.notion.com/v1/databases/${dbId}/query`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${env.NOTION_API_KEY}`,
-            'Notion-Version': '2022-06-28',
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(body),
-        });
-        const data = await response.json();
-        return json(data, corsHeaders);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        if (typeof body.worker !== 'string' || !body.worker) return json({ error: 'worker is required', field: 'worker' }, corsHeaders, 400);
+        const leaseSeconds = body.lease_seconds ?? (parseInt(env.DISPATCH_LEASE_SECONDS) || DISPATCH_LEASE_SECONDS);
+        if (!Number.isInteger(leaseSeconds) || leaseSeconds < 30 || leaseSeconds > 3600) {
+          return json({ error: 'lease_seconds must be an integer between 30 and 3600', field: 'lease_seconds' }, corsHeaders, 400);
+        }
+        for (const field of ['tiers', 'models']) {
+          if (body[field] !== undefined && (!Array.isArray(body[field]) || body[field].some(v => typeof v !== 'string'))) {
+            return json({ error: `${field} must be an array of strings`, field }, corsHeaders, 400);
+          }
+        }
+        const claim = await claimDispatch(env, body.worker, { tiers: body.tiers, models: body.models, leaseSeconds });
+        if (!claim) return json({ claimed: false }, corsHeaders);
+        await log(env, 'dispatch', `${body.worker} claimed ${claim.task.id}`);
+        return json({ claimed: true, ...claim }, corsHeaders);
       }
 
-      // Get/Create Notion page
-      if (path.startsWith('/api/notion/page/') && method === 'GET') {
-        if (!env.NOTION_API_KEY) return json({ error: 'Notion not configured' }, corsHeaders, 500);
-        const pageId = path.replace('/api/notion/page/', '');
-        const response = await fetch(`https://api.notion.com/v1/pages/${pageId}`, {
-          headers: {
-            'Authorization': `Bearer ${env.NOTION_API_KEY}`,
-            'Notion-Version': '2022-06-28',
-          },
-        });
-        const data = await response.json();
-        return json(data, corsHeaders);
+      if (path.match(/^\/api\/dispatch\/[^/]+\/heartbeat$/) && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = taskKeyFromPath(path.split('/')[3]);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        if (typeof body.worker !== 'string' || !body.worker) return json({ error: 'worker is required', field: 'worker' }, corsHeaders, 400);
+        const lease = await getHeldLease(env, id, body.worker);
+        if (!lease) return json({ error: 'Lease not held (expired or claimed by another worker)' }, corsHeaders, 409);
+        const leaseSeconds = body.lease_seconds ?? (parseInt(env.DISPATCH_LEASE_SECONDS) || DISPATCH_LEASE_SECONDS);
+        if (!Number.isInteger(leaseSeconds) || leaseSeconds < 30 || leaseSeconds > 3600) {
+          return json({ error: 'lease_seconds must be an integer between 30 and 3600', field: 'lease_seconds' }, corsHeaders, 400);
+        }
+        const leaseExpires = Date.now() + leaseSeconds * 1000;
+        await env.DB.prepare('UPDATE task_dispatch SET lease_expires = ?, updated = ? WHERE task_id = ?')
+          .bind(leaseExpires, new Date().toISOString(), id).run();
+        return json({ ok: true, id, lease_expires: new Date(leaseExpires).toISOString() }, corsHeaders);
       }
 
-      if (path === '/api/notion/pages' && method === 'POST') {
-        if (!env.NOTION_API_KEY) return json({ error: 'Notion not configured' }, corsHeaders, 500);
+      // Worker reports the outcome: done/review finish the task, failed puts it back in the queue
+      if (path.match(/^\/api\/dispatch\/[^/]+\/complete$/) && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = taskKeyFromPath(path.split('/')[3]);
         const body = await request.json();
-        const response = await fetch('https://api.notion.com/v1/pages', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${env.NOTION_API_KEY}`,
-            'Notion-Version': '2022-06-28',
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(body),
-        });
-        const data = await response.json();
-        return json(data, corsHeaders);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const outcome = body.status || 'done';
+        if (!['done', 'review', 'failed'].includes(outcome)) {
+          return json({ error: 'status must be one of: done, review, failed', field: 'status' }, corsHeaders, 400);
+        }
+        if (typeof body.worker !== 'string' || !body.worker) return json({ error: 'worker is required', field: 'worker' }, corsHeaders, 400);
+        const lease = await getHeldLease(env, id, body.worker);
+        if (!lease) return json({ error: 'Lease not held (expired or claimed by another worker)' }, corsHeaders, 409);
+        const task = await getTask(env, id);
+        if (!task) return json({ error: 'Task not found' }, corsHeaders, 404);
+
+        // Move the task first: if the transition is refused the lease stays as it was
+        const transition = await transitionTask(env, task, outcome === 'failed' ? 'pending' : outcome, body.worker, body.error || 'reported by dispatch worker');
+        if (transition.error) return json({ error: transition.error, allowed: transition.allowed }, corsHeaders, transition.status);
+
+        const now = new Date().toISOString();
+        const result = body.result === undefined ? null : JSON.stringify(body.result);
+        const retry = outcome === 'failed' && lease.attempts < DISPATCH_MAX_ATTEMPTS;
+        const state = outcome === 'failed' ? (retry ? 'queued' : 'failed') : 'completed';
+        await env.DB.prepare(
+          'UPDATE task_dispatch SET state = ?, worker = ?, lease_expires = NULL, result = ?, error = ?, completed_at = ?, updated = ? WHERE task_id = ?'
+        ).bind(state, retry ? null : body.worker, result, body.error || null, state === 'queued' ? null : now, now, id).run();
+        await log(env, 'dispatch', `${body.worker} reported ${outcome} for ${id}`);
+        return json({ ok: true, id, dispatch_state: state, task: transition.task }, corsHeaders);
       }
 
-      // ==================== R2 STORAGE ====================
+      // Dispatch record plus the usage workers logged against the task
+      if (path.startsWith('/api/dispatch/') && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = taskKeyFromPath(path.replace('/api/dispatch/', ''));
+        const dispatch = await env.DB.prepare('SELECT * FROM task_dispatch WHERE task_id = ?').bind(id).first();
+        if (!dispatch) return json({ error: 'Task not dispatched' }, corsHeaders, 404);
+        const usage = await env.DB.prepare(
+          'SELECT COUNT(*) AS requests, COALESCE(SUM(tokens_in), 0) AS tokens_in, COALESCE(SUM(tokens_out), 0) AS tokens_out, COALESCE(SUM(cost), 0) AS cost FROM analytics WHERE task_id = ?'
+        ).bind(id).first();
+        return json({ dispatch: { ...dispatch, result: parseMaybeJson(dispatch.result) }, usage }, corsHeaders);
+      }
 
-      // Upload file to R2
-      if (path.startsWith('/api/storage/') && method === 'PUT') {
-        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
-        const key = path.replace('/api/storage/', '');
-        const body = await request.arrayBuffer();
-        const contentType = request.headers.get('Content-Type') || 'application/octet-stream';
-        await env.STORAGE.put(key, body, { httpMetadata: { contentType } });
-        return json({ uploaded: true, key, size: body.byteLength }, corsHeaders);
+      // ==================== NOTES ====================
+
+      if (path === '/notes' && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 100, KV_PAGE_MAX);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${KV_PAGE_MAX}` }, corsHeaders, 400);
+        const page = await listKVPage(env, 'note:', limit, url.searchParams.get('cursor'));
+        return json({ notes: page.entries.map(e => ({ id: e.name, ...e.value })), next_cursor: page.next_cursor }, corsHeaders);
       }
 
-      // Get file from R2
-      if (path.startsWith('/api/storage/') && method === 'GET') {
-        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
-        const key = path.replace('/api/storage/', '');
-        const object = await env.STORAGE.get(key);
-        if (!object) return json({ error: 'Not found' }, corsHeaders, 404);
-        const headers = new Headers(corsHeaders);
-        headers.set('Content-Type', object.httpMetadata?.contentType || 'application/octet-stream');
-        headers.set('Content-Length', object.size);
-        return new Response(object.body, { headers });
+      if (path === '/notes' && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const { id, note } = await createNote(env, body);
+        return json({ created: true, id, note }, corsHeaders);
       }
 
-      // Delete file from R2
-      if (path.startsWith('/api/storage/') && method === 'DELETE') {
-        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
-        const key = path.replace('/api/storage/', '');
-        await env.STORAGE.delete(key);
-        return json({ deleted: true, key }, corsHeaders);
+      // Browser viewer; the page asks for an API key and calls the endpoints below
+      if (path === '/notes/view' && method === 'GET') {
+        return new Response(noteViewerPage(), {
+          headers: { 'Content-Type': 'text/html', ...corsHeaders },
+        });
       }
 
-      // List files in R2
-      if (path === '/api/storage' && method === 'GET') {
-        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
-        const prefix = url.searchParams.get('prefix') || '';
-        const limit = parseInt(url.searchParams.get('limit') || '100');
-        const list = await env.STORAGE.list({ prefix, limit });
+      if (path.match(/^\/notes\/[^/]+\/revisions$/) && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'note:' + path.split('/')[2];
+        const note = await env.MEMORY.get(id, 'json');
+        if (!note) return json({ error: 'Note not found' }, corsHeaders, 404);
+        const revisions = await getNoteRevisions(env, id);
         return json({
-          objects: list.objects.map(o => ({ key: o.key, size: o.size, uploaded: o.uploaded })),
-          truncated: list.truncated
+          id,
+          current: note.revision || 1,
+          revisions: [
+            ...revisions.map(r => ({ revision: r.revision, title: r.title, updated: r.updated })),
+            { revision: note.revision || 1, title: note.title, updated: note.updated, current: true },
+          ],
         }, corsHeaders);
       }
 
-      // ==================== FAKTUROWNIA API ====================
+      // Line diff between two revisions (?from=&to=, to defaults to the current one)
+      if (path.match(/^\/notes\/[^/]+\/diff$/) && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'note:' + path.split('/')[2];
+        const note = await env.MEMORY.get(id, 'json');
+        if (!note) return json({ error: 'Note not found' }, corsHeaders, 404);
+        const current = note.revision || 1;
+        const from = parseInt(url.searchParams.get('from') || current - 1);
+        const to = parseInt(url.searchParams.get('to') || current);
+        const [a, b] = await Promise.all([getNoteRevision(env, id, note, from), getNoteRevision(env, id, note, to)]);
+        if (!a || !b) return json({ error: `Revision ${!a ? from : to} not found` }, corsHeaders, 404);
+        return json({ id, from, to, ...diffNotes(a, b) }, corsHeaders);
+      }
 
-      // List invoices
-      if (path === '/api/invoices' && method === 'GET') {
-        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
-        const page = url.searchParams.get('page') || '1';
-        const response = await fetch(`https://${env.FAKTUROWNIA_USER}.fakturownia.pl/invoices.json?page=${page}&api_token=${env.FAKTUROWNIA_TOKEN}`);
-        const data = await response.json();
-        return json(data, corsHeaders);
+      if (path.match(/^\/notes\/[^/]+\/restore$/) && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'note:' + path.split('/')[2];
+        const note = await env.MEMORY.get(id, 'json');
+        if (!note) return json({ error: 'Note not found' }, corsHeaders, 404);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        if (!Number.isInteger(body.revision)) return json({ error: 'revision must be an integer', field: 'revision' }, corsHeaders, 400);
+        const target = await getNoteRevision(env, id, note, body.revision);
+        if (!target) return json({ error: `Revision ${body.revision} not found` }, corsHeaders, 404);
+        const restored = await saveNoteRevision(env, id, note, { title: target.title, content: target.content, tags: target.tags });
+        await log(env, 'note', `Restored ${id} to revision ${body.revision}`);
+        return json({ restored: true, id, from_revision: body.revision, note: restored }, corsHeaders);
       }
 
-      // Get single invoice
-      if (path.match(/^\/api\/invoices\/\d+$/) && method === 'GET') {
-        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
-        const invoiceId = path.replace('/api/invoices/', '');
-        const response = await fetch(`https://${env.FAKTUROWNIA_USER}.fakturownia.pl/invoices/${invoiceId}.json?api_token=${env.FAKTUROWNIA_TOKEN}`);
-        const data = await response.json();
-        return json(data, corsHeaders);
+      // JSON by default, sanitized Markdown rendering with ?format=html
+      if (path.startsWith('/notes/') && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'note:' + path.replace('/notes/', '');
+        const note = await env.MEMORY.get(id, 'json');
+        if (!note) return json({ error: 'Note not found' }, corsHeaders, 404);
+        if (url.searchParams.get('format') === 'html') {
+          return new Response(noteHtmlPage(note), {
+            headers: { 'Content-Type': 'text/html; charset=utf-8', ...corsHeaders },
+          });
+        }
+        return json({ id, note }, corsHeaders);
       }
 
-      // Create invoice
-      if (path === '/api/invoices' && method === 'POST') {
-        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
-        const body = await request.json();
-        const response = await fetch(`https://${env.FAKTUROWNIA_USER}.fakturownia.pl/invoices.json`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ api_token: env.FAKTUROWNIA_TOKEN, invoice: body }),
-        });
-        const data = await response.json();
-        return json(data, corsHeaders);
+      if (path.startsWith('/notes/') && method === 'PUT') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'note:' + path.replace('/notes/', '');
+        const existing = await env.MEMORY.get(id);
+        if (!existing) return json({ error: 'Note not found' }, corsHeaders, 404);
+        const note = JSON.parse(existing);
+        const updates = await request.json();
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const updated = await saveNoteRevision(env, id, note, updates);
+        return json({ updated: true, id, note: updated }, corsHeaders);
       }
 
-      // Get invoice PDF
-      if (path.match(/^\/api\/invoices\/\d+\/pdf$/) && method === 'GET') {
-        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
-        const invoiceId = path.replace('/api/invoices/', '').replace('/pdf', '');
-        const response = await fetch(`https://${env.FAKTUROWNIA_USER}.fakturownia.pl/invoices/${invoiceId}.pdf?api_token=${env.FAKTUROWNIA_TOKEN}`);
-        return new Response(response.body, {
-          headers: { 'Content-Type': 'application/pdf', ...corsHeaders },
-        });
+      if (path.startsWith('/notes/') && method === 'DELETE') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'note:' + path.replace('/notes/', '');
+        if (!(await env.MEMORY.get(id))) return json({ error: 'Note not found' }, corsHeaders, 404);
+        await env.MEMORY.delete(id);
+        await Promise.all((await env.MEMORY.list({ prefix: noteRevisionPrefix(id) })).keys.map(k => env.MEMORY.delete(k.name)));
+        await removeFromIndex(env, 'note', id);
+        return json({ deleted: true, id }, corsHeaders);
       }
 
-      // ==================== MODEL USAGE ====================
+      // ==================== SEARCH ====================
 
-      // Log model usage (D1 primary, KV fallback)
-      if (path === '/usage' && method === 'POST') {
+      // Ranked full-text search (?q=&type=note,task,webhook&tag=&from=&to=)
+      if (path === '/api/search' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const match = buildSearchMatch(url.searchParams.get('q'));
+        if (!match) return json({ error: 'q is required', field: 'q' }, corsHeaders, 400);
+        const limit = parseLimit(url.searchParams.get('limit'), 20, 100);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 100' }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+        const offset = cursor ? decodeCursor(cursor)?.offset : 0;
+        if (!Number.isInteger(offset) || offset < 0) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+
+        const clauses = ['search_index MATCH ?'];
+        const values = [match];
+        const requested = url.searchParams.get('type')?.split(',');
+        if (requested) {
+          const bad = requested.find(t => !SEARCH_TYPES.includes(t));
+          if (bad) return json({ error: `type must be one of: ${SEARCH_TYPES.join(', ')}`, field: 'type' }, corsHeaders, 400);
+          const denied = requested.find(t => !hasScope(auth.scopes, SEARCH_TYPE_SCOPES[t]));
+          if (denied) return json({ error: 'Insufficient scope', required_scope: SEARCH_TYPE_SCOPES[denied] }, corsHeaders, 403);
+        }
+        // Only the entity types the key may read anyway
+        const types = (requested || SEARCH_TYPES).filter(t => hasScope(auth.scopes, SEARCH_TYPE_SCOPES[t]));
+        if (!types.length) return json({ error: 'Insufficient scope', required_scope: Object.values(SEARCH_TYPE_SCOPES).join(' or ') }, corsHeaders, 403);
+        clauses.push(`entity_type IN (${types.map(() => '?').join(', ')})`);
+        values.push(...types);
+        const tag = url.searchParams.get('tag');
+        if (tag) {
+          clauses.push('tag_list LIKE ?');
+          values.push(`%|${tag.replace(/[%_]/g, '')}|%`);
+        }
+        for (const [param, op] of [['from', '>='], ['to', '<=']]) {
+          const value = url.searchParams.get(param);
+          if (!value) continue;
+          const time = Date.parse(value);
+          if (isNaN(time)) return json({ error: 'from and to must be ISO dates' }, corsHeaders, 400);
+          clauses.push(`created ${op} ?`);
+          values.push(new Date(time).toISOString());
+        }
+
+        const result = await env.DB.prepare(
+          `SELECT entity_type AS type, entity_id AS id, title,
+             highlight(search_index, 2, ?, ?) AS title_highlight,
+             snippet(search_index, -1, ?, ?, '…', 16) AS snippet,
+             tags, created, bm25(search_index, 0, 0, 10.0, 1.0, 5.0, 0, 0) AS rank
+           FROM search_index WHERE ${clauses.join(' AND ')} ORDER BY rank LIMIT ? OFFSET ?`
+        ).bind(...SEARCH_MARKS, ...SEARCH_MARKS, ...values, limit + 1, offset).all();
+        const rows = result.results.slice(0, limit).map(r => ({
+          ...r,
+          title_highlight: searchHighlightHtml(r.title_highlight),
+          snippet: searchHighlightHtml(r.snippet),
+          tags: r.tags ? r.tags.split(' ') : [],
+          rank: -r.rank, // bm25 is lower-is-better; flip so higher means more relevant
+        }));
+        return json({
+          query: url.searchParams.get('q'),
+          results: rows,
+          next_cursor: result.results.length > limit ? encodeCursor({ offset: offset + limit }) : null,
+        }, corsHeaders);
+      }
+
+      if (path === '/api/search/reindex' && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const indexed = await reindexSearch(env);
+        await log(env, 'search', `Reindexed ${indexed.note} notes, ${indexed.task} tasks, ${indexed.webhook} webhooks`);
+        return json({ reindexed: true, indexed }, corsHeaders);
+      }
+
+      // ==================== LOGS ====================
+
+      if (path === '/logs' && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 50, KV_PAGE_MAX);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${KV_PAGE_MAX}` }, corsHeaders, 400);
+        const category = url.searchParams.get('category');
+        const prefix = category ? `log:${category}:` : 'log:';
+        const page = await listKVPage(env, prefix, limit, url.searchParams.get('cursor'));
+        return json({ logs: page.entries.map(e => e.value), next_cursor: page.next_cursor }, corsHeaders);
+      }
+
+      // ==================== CONFIG ====================
+
+      if (path === '/config' && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const config = await env.MEMORY.get('config:main');
+        return json({ config: config ? JSON.parse(config) : {} }, corsHeaders);
+      }
+
+      if (path === '/config' && method === 'PUT') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const body = await request.text();
+        await env.MEMORY.put('config:main', body);
+        await log(env, 'config', 'Configuration updated');
+        return json({ updated: true }, corsHeaders);
+      }
+
+      // ==================== MODEL ROUTING ====================
+
+      if (path === '/api/routing' && method === 'GET') {
+        const stored = env.MEMORY ? await env.MEMORY.get('config:routing', 'json') : null;
+        return json({ routing: stored || DEFAULT_ROUTING, source: stored ? 'custom' : 'default' }, corsHeaders);
+      }
+
+      if (path === '/api/routing' && method === 'PUT') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
         const body = await request.json();
-        const { provider, model, tokens_in, tokens_out, cost, task_type, success } = body;
+        const invalid = validateRoutingConfig(body);
+        if (invalid) return json(invalid, corsHeaders, 400);
+        await env.MEMORY.put('config:routing', JSON.stringify(body));
+        await log(env, 'config', 'Routing rules updated');
+        return json({ updated: true, routing: body }, corsHeaders);
+      }
 
-        const usage = {
-          timestamp: new Date().toISOString(),
-          provider: provider || 'unknown',
-          model: model || 'unknown',
-          tokens_in: tokens_in || 0,
-          tokens_out: tokens_out || 0,
-          cost: cost || 0,
-          task_type: task_type || 'general',
-          success: success !== false,
-        };
+      // Back to the built-in defaults
+      if (path === '/api/routing' && method === 'DELETE') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        await env.MEMORY.delete('config:routing');
+        await log(env, 'config', 'Routing rules reset to defaults');
+        return json({ reset: true, routing: DEFAULT_ROUTING }, corsHeaders);
+      }
 
-        let id;
-        // Try D1 first
-        if (env.DB) {
-          try {
-            const result = await env.DB.prepare(
-              'INSERT INTO analytics (provider, model, tokens_in, tokens_out, cost, task_type, success) VALUES (?, ?, ?, ?, ?, ?, ?)'
-            ).bind(usage.provider, usage.model, usage.tokens_in, usage.tokens_out, usage.cost, usage.task_type, usage.success ? 1 : 0).run();
-            id = `d1:${result.meta.last_row_id}`;
-          } catch (e) {
-            console.error('D1 insert failed:', e);
-          }
+      // Recommend a model for a task type given current Claude Max usage
+      if (path === '/api/route' && method === 'POST') {
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        if (typeof body.task_type !== 'string' || !body.task_type) {
+          return json({ error: 'task_type is required', field: 'task_type' }, corsHeaders, 400);
         }
+        const routing = await getRoutingConfig(env);
+        const maxUsage = await getClaudeMaxUsage(env);
+        return json(routeTask(routing, body.task_type, maxUsage), corsHeaders);
+      }
 
-        // Fallback to KV
-        if (!id && env.MEMORY) {
-          id = `usage:${Date.now()}`;
-          await env.MEMORY.put(id, JSON.stringify(usage), { expirationTtl: 86400 * 90 });
-        }
+      // ==================== PROXY ====================
 
-        // Update aggregated stats (still in KV for now)
-        if (env.MEMORY) {
-          await updateModelStats(env, usage);
-        }
+      if (path === '/proxy' && method === 'POST') {
+        const body = await request.json();
+        const { url: targetUrl, method: targetMethod = 'GET', headers: targetHeaders = {}, data } = body;
 
-        return json({ logged: true, id, storage: id?.startsWith('d1:') ? 'd1' : 'kv' }, corsHeaders);
-      }
+        if (!targetUrl) return json({ error: 'URL required' }, corsHeaders, 400);
 
-      // Get usage history (D1 primary, KV fallback)
-      if (path === '/usage' && method === 'GET') {
-        const limit = parseInt(url.searchParams.get('limit') || '100');
+        const proxyResponse = await fetch(targetUrl, {
+          method: targetMethod,
+          headers: targetHeaders,
+          body: data ? JSON.stringify(data) : undefined,
+        });
 
-        // Try D1 first
-        if (env.DB) {
-          try {
-            const result = await env.DB.prepare(
-              'SELECT id, provider, model, tokens_in, tokens_out, cost, task_type, success, created_at as timestamp FROM analytics ORDER BY id DESC LIMIT ?'
-            ).bind(limit).all();
-            return json({ usage: result.results, storage: 'd1' }, corsHeaders);
-          } catch (e) {
-            console.error('D1 query failed:', e);
-          }
+        const responseText = await proxyResponse.text();
+        let responseData;
+        try {
+          responseData = JSON.parse(responseText);
+        } catch {
+          responseData = responseText;
         }
 
-        // Fallback to KV
-        if (!env.MEMORY) return json({ error: 'No storage bound' }, corsHeaders, 500);
-        const list = await env.MEMORY.list({ prefix: 'usage:', limit });
-        const usage = await Promise.all(
-          list.keys.map(async k => {
-            const val = await env.MEMORY.get(k.name);
-            return val ? { id: k.name, ...JSON.parse(val) } : null;
-          })
-        );
-        return json({ usage: usage.filter(Boolean).reverse(), storage: 'kv' }, corsHeaders);
+        await log(env, 'proxy', `${targetMethod} ${targetUrl} -> ${proxyResponse.status}`);
+
+        return json({
+          status: proxyResponse.status,
+          headers: Object.fromEntries(proxyResponse.headers),
+          data: responseData,
+        }, corsHeaders);
       }
 
-      // Get model stats
-      if (path === '/usage/stats' && method === 'GET') {
-        const stats = await getModelStats(env);
+      // ==================== STATS ====================
+
+      if (path === '/stats' && method === 'GET') {
+        const stats = await getStats(env);
         return json({ stats }, corsHeaders);
       }
 
-      // Live usage feed (last 10) - D1 primary
-      if (path === '/usage/live' && method === 'GET') {
-        // Try D1 first
-        if (env.DB) {
-          try {
-            const result = await env.DB.prepare(
-              'SELECT id, provider, model, tokens_in, tokens_out, cost, task_type, success, created_at as timestamp FROM analytics ORDER BY id DESC LIMIT 10'
-            ).all();
-            return json({ usage: result.results, storage: 'd1' }, corsHeaders);
-          } catch (e) {
-            console.error('D1 query failed:', e);
-          }
+      // ==================== HEALTH CHECK ====================
+
+      // Last check of the `vps` monitor. This route is public, so it only reads; probing on
+      // demand is POST /api/monitors/vps/check.
+      if (path === '/api/health/vps' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const check = await env.DB.prepare(
+          "SELECT * FROM monitor_checks WHERE monitor_id = 'vps' ORDER BY id DESC LIMIT 1"
+        ).first();
+        if (!check) return json({ error: 'VPS not checked yet' }, corsHeaders, 404);
+        if (check.http_status === null) {
+          return json({ status: 'unreachable', error: check.error, checked_at: check.checked_at }, corsHeaders, 503);
         }
+        return json({
+          status: check.status === 'down' ? 'error' : 'ok',
+          latency_ms: check.latency_ms,
+          http_status: check.http_status,
+          checked_at: check.checked_at,
+        }, corsHeaders);
+      }
 
-        // Fallback to KV
-        if (!env.MEMORY) return json({ error: 'No storage bound' }, corsHeaders, 500);
-        const list = await env.MEMORY.list({ prefix: 'usage:', limit: 10 });
-        const usage = await Promise.all(
-          list.keys.map(async k => {
-            const val = await env.MEMORY.get(k.name);
-            return val ? JSON.parse(val) : null;
-          })
-        );
-        return json({ usage: usage.filter(Boolean).reverse(), storage: 'kv' }, corsHeaders);
+      // Public uptime page, cached for a minute: each monitor costs several D1 queries
+      if (path === '/status' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const cacheKey = new Request(`${url.origin}/status`);
+        const cached = await caches.default.match(cacheKey);
+        if (cached) return cached;
+        const result = await env.DB.prepare('SELECT * FROM monitors WHERE public = 1 AND enabled = 1 ORDER BY name').all();
+        const monitors = [];
+        for (const row of result.results) {
+          const recent = await env.DB.prepare(
+            'SELECT status, checked_at FROM monitor_checks WHERE monitor_id = ? ORDER BY id DESC LIMIT 48'
+          ).bind(row.id).all();
+          monitors.push({
+            name: row.name,
+            state: row.state,
+            uptime: await monitorUptime(env, row.id),
+            p95: (await monitorLatency(env, row.id, '24h')).p95,
+            recent: recent.results.reverse(),
+          });
+        }
+        const response = new Response(monitorStatusPage(monitors), {
+          headers: { 'Content-Type': 'text/html', 'Cache-Control': `public, max-age=${MONITOR_STATUS_CACHE_SECONDS}`, ...corsHeaders },
+        });
+        ctx.waitUntil(caches.default.put(cacheKey, response.clone()));
+        return response;
       }
 
-      // 404
-      return new Response('Not Found', { status: 404, headers: corsHeaders });
+      // Health check history
+      if (path === '/api/health/history' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 50, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const before = parseIdCursor(url.searchParams.get('cursor'));
+        if (before === null) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+        const result = await env.DB.prepare(
+          "SELECT * FROM logs WHERE category = 'health' AND id < ? ORDER BY id DESC LIMIT ?"
+        ).bind(before, limit).all();
+        return json({ checks: result.results, next_cursor: idCursor(result.results, limit) }, corsHeaders);
+      }
+
+      // ==================== MONITORS ====================
+
+      if (path === '/api/monitors' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const result = await env.DB.prepare('SELECT * FROM monitors ORDER BY name').all();
+        return json({ monitors: result.results.map(formatMonitor) }, corsHeaders);
+      }
+
+      if (path === '/api/monitors' && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const now = new Date().toISOString();
+        const monitor = {
+          id: `mon_${Date.now()}_${randomHex(4)}`,
+          name: body.name,
+          url: body.url,
+          method: (body.method || 'GET').toUpperCase(),
+          expected_status: body.expected_status ?? null,
+          expected_body: body.expected_body ?? null,
+          latency_threshold_ms: body.latency_threshold_ms ?? null,
+          interval_seconds: body.interval_seconds ?? 300,
+          timeout_ms: body.timeout_ms ?? 10000,
+          failure_threshold: body.failure_threshold ?? 2,
+          reminder_minutes: body.reminder_minutes === undefined ? 60 : body.reminder_minutes,
+          public: body.public !== false,
+          enabled: body.enabled !== false,
+          state: 'unknown',
+          last_checked: null,
+          next_check: null, // checked on the next cron run
+          consecutive_failures: 0,
+          failing_since: null,
+          silenced_until: null,
+          created: now,
+          updated: now,
+        };
+        const error = validateMonitor(monitor);
+        if (error) return json(error, corsHeaders, 400);
+        await saveMonitor(env, monitor);
+        await log(env, 'health', `Monitor created: ${monitor.name} (${monitor.method} ${monitor.url})`);
+        return json({ created: true, monitor }, corsHeaders);
+      }
+
+      // Probe now and record the result
+      if (path.match(/^\/api\/monitors\/[^/]+\/check$/) && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const monitor = await getMonitor(env, path.split('/')[3]);
+        if (!monitor) return json({ error: 'Monitor not found' }, corsHeaders, 404);
+        const { body, ...result } = await checkMonitor(monitor);
+        await recordMonitorCheck(env, monitor, result);
+        return json({ monitor_id: monitor.id, ...result }, corsHeaders);
+      }
+
+      // Mute alerts and reminders for a while ({"minutes": 60}); checks and incidents continue
+      if (path.match(/^\/api\/monitors\/[^/]+\/silence$/) && (method === 'POST' || method === 'DELETE')) {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const monitor = await getMonitor(env, path.split('/')[3]);
+        if (!monitor) return json({ error: 'Monitor not found' }, corsHeaders, 404);
+        let until = null;
+        if (method === 'POST') {
+          const { minutes = 60 } = await request.json().catch(() => ({}));
+          if (!Number.isInteger(minutes) || minutes < 1 || minutes > 10080) {
+            return json({ error: 'minutes must be an integer between 1 and 10080', field: 'minutes' }, corsHeaders, 400);
+          }
+          until = new Date(Date.now() + minutes * 60000).toISOString();
+        }
+        await env.DB.prepare('UPDATE monitors SET silenced_until = ? WHERE id = ?').bind(until, monitor.id).run();
+        await log(env, 'health', `${monitor.name} ${until ? `silenced until ${until}` : 'unsilenced'} by ${auth.name}`);
+        return json({ monitor_id: monitor.id, silenced_until: until }, corsHeaders);
+      }
+
+      if (path.match(/^\/api\/monitors\/[^/]+\/checks$/) && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 50, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const before = parseIdCursor(url.searchParams.get('cursor'));
+        if (before === null) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+        const result = await env.DB.prepare(
+          'SELECT * FROM monitor_checks WHERE monitor_id = ? AND id < ? ORDER BY id DESC LIMIT ?'
+        ).bind(path.split('/')[3], before, limit).all();
+        return json({ checks: result.results, next_cursor: idCursor(result.results, limit) }, corsHeaders);
+      }
+
+      // Uptime per window and latency percentiles (?window=24h|7d|30d)
+      if (path.match(/^\/api\/monitors\/[^/]+\/stats$/) && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const window = url.searchParams.get('window') || '24h';
+        if (!MONITOR_WINDOWS[window]) {
+          return json({ error: `window must be one of: ${Object.keys(MONITOR_WINDOWS).join(', ')}`, field: 'window' }, corsHeaders, 400);
+        }
+        const monitor = await getMonitor(env, path.split('/')[3]);
+        if (!monitor) return json({ error: 'Monitor not found' }, corsHeaders, 404);
+        return json({
+          monitor_id: monitor.id,
+          state: monitor.state,
+          uptime: await monitorUptime(env, monitor.id),
+          latency: await monitorLatency(env, monitor.id, window),
+        }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/monitors/') && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const monitor = await getMonitor(env, path.replace('/api/monitors/', ''));
+        if (!monitor) return json({ error: 'Monitor not found' }, corsHeaders, 404);
+        return json({ ...monitor, uptime: await monitorUptime(env, monitor.id) }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/monitors/') && method === 'PUT') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const monitor = await getMonitor(env, path.replace('/api/monitors/', ''));
+        if (!monitor) return json({ error: 'Monitor not found' }, corsHeaders, 404);
+        const updates = await request.json();
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const updated = { ...monitor, updated: new Date().toISOString() };
+        for (const field of ['name', 'url', 'method', 'expected_status', 'expected_body', 'latency_threshold_ms', 'interval_seconds', 'timeout_ms', 'failure_threshold', 'reminder_minutes', 'public', 'enabled']) {
+          if (updates[field] !== undefined) updated[field] = updates[field];
+        }
+        if (typeof updated.method === 'string') updated.method = updated.method.toUpperCase();
+        const error = validateMonitor(updated);
+        if (error) return json(error, corsHeaders, 400);
+        if (updated.interval_seconds !== monitor.interval_seconds || (updated.enabled && !monitor.enabled)) updated.next_check = null;
+        // A disabled monitor is no longer checked, so nothing would ever close its incident
+        if (!updated.enabled && monitor.enabled) {
+          Object.assign(updated, { consecutive_failures: 0, failing_since: null });
+          await closeOpenIncidents(env, monitor.id).run();
+        }
+        await saveMonitor(env, updated);
+        await log(env, 'health', `Monitor updated: ${updated.name}`);
+        return json({ updated: true, monitor: updated }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/monitors/') && method === 'DELETE') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = path.replace('/api/monitors/', '');
+        const [result] = await env.DB.batch([
+          env.DB.prepare('DELETE FROM monitors WHERE id = ?').bind(id),
+          env.DB.prepare('DELETE FROM monitor_checks WHERE monitor_id = ?').bind(id),
+          closeOpenIncidents(env, id),
+        ]);
+        if (!result.meta.changes) return json({ error: 'Monitor not found' }, corsHeaders, 404);
+        await log(env, 'health', `Monitor deleted: ${id}`);
+        return json({ deleted: true, id }, corsHeaders);
+      }
+
+      // ==================== INCIDENTS ====================
+
+      // ?monitor_id=&status=open|resolved&from=&to= (by start time)
+      if (path === '/api/incidents' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const status = url.searchParams.get('status');
+        if (status && !['open', 'resolved'].includes(status)) {
+          return json({ error: 'status must be open or resolved', field: 'status' }, corsHeaders, 400);
+        }
+        const limit = parseLimit(url.searchParams.get('limit'), 50, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+        const offset = cursor ? decodeCursor(cursor)?.offset : 0;
+        if (!Number.isInteger(offset) || offset < 0) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+        const where = [];
+        const params = [];
+        if (url.searchParams.get('monitor_id')) { where.push('monitor_id = ?'); params.push(url.searchParams.get('monitor_id')); }
+        if (status) where.push(status === 'open' ? 'ended_at IS NULL' : 'ended_at IS NOT NULL');
+        for (const [field, op] of [['from', '>='], ['to', '<=']]) {
+          const value = url.searchParams.get(field);
+          if (!value) continue;
+          if (isNaN(Date.parse(value))) return json({ error: `${field} must be a date`, field }, corsHeaders, 400);
+          where.push(`started_at ${op} ?`);
+          params.push(new Date(value).toISOString());
+        }
+        const result = await env.DB.prepare(
+          `SELECT * FROM incidents ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY started_at DESC, id DESC LIMIT ? OFFSET ?`
+        ).bind(...params, limit + 1, offset).all();
+        return json({
+          incidents: result.results.slice(0, limit).map(formatIncident),
+          next_cursor: result.results.length > limit ? encodeCursor({ offset: offset + limit }) : null,
+        }, corsHeaders);
+      }
+
+      // Acknowledge: stops reminders; the recovery message is still sent
+      if (path.match(/^\/api\/incidents\/\d+\/ack$/) && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = parseInt(path.split('/')[3]);
+        const incident = await env.DB.prepare('SELECT * FROM incidents WHERE id = ?').bind(id).first();
+        if (!incident) return json({ error: 'Incident not found' }, corsHeaders, 404);
+        if (incident.acknowledged_at) return json({ error: 'Incident already acknowledged', incident: formatIncident(incident) }, corsHeaders, 409);
+        const body = (await request.json().catch(() => null)) || {};
+        await env.DB.prepare(
+          'UPDATE incidents SET acknowledged_at = ?, acknowledged_by = ?, note = ? WHERE id = ?'
+        ).bind(new Date().toISOString(), auth.name, typeof body.note === 'string' ? body.note : null, id).run();
+        await log(env, 'health', `Incident #${id} acknowledged by ${auth.name}`);
+        const updated = await env.DB.prepare('SELECT * FROM incidents WHERE id = ?').bind(id).first();
+        return json({ acknowledged: true, incident: formatIncident(updated) }, corsHeaders);
+      }
+
+      if (path.match(/^\/api\/incidents\/\d+$/) && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const incident = await env.DB.prepare('SELECT * FROM incidents WHERE id = ?').bind(parseInt(path.split('/')[3])).first();
+        if (!incident) return json({ error: 'Incident not found' }, corsHeaders, 404);
+        const checks = await env.DB.prepare(
+          `SELECT * FROM monitor_checks WHERE monitor_id = ? AND checked_at >= ? AND checked_at <= ? ORDER BY id LIMIT 500`
+        ).bind(incident.monitor_id, incident.started_at, incident.ended_at || new Date().toISOString()).all();
+        return json({ ...formatIncident(incident), checks: checks.results }, corsHeaders);
+      }
+
+      // ==================== MAINTENANCE WINDOWS ====================
+
+      // ?active=true for windows in effect now; otherwise current and upcoming ones
+      if (path === '/api/maintenance' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const now = new Date().toISOString();
+        const active = url.searchParams.get('active') === 'true';
+        const result = await env.DB.prepare(
+          `SELECT * FROM maintenance_windows WHERE ends_at > ? ${active ? 'AND starts_at <= ?' : ''} ORDER BY starts_at`
+        ).bind(...(active ? [now, now] : [now])).all();
+        return json({ windows: result.results }, corsHeaders);
+      }
+
+      if (path === '/api/maintenance' && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const startsAt = body.starts_at ? Date.parse(body.starts_at) : Date.now();
+        const endsAt = Date.parse(body.ends_at);
+        if (isNaN(startsAt)) return json({ error: 'starts_at must be a date', field: 'starts_at' }, corsHeaders, 400);
+        if (isNaN(endsAt)) return json({ error: 'ends_at must be a date', field: 'ends_at' }, corsHeaders, 400);
+        if (endsAt <= startsAt) return json({ error: 'ends_at must be after starts_at', field: 'ends_at' }, corsHeaders, 400);
+        const monitorId = body.monitor_id ?? null; // null covers every monitor
+        if (monitorId !== null && !(await getMonitor(env, monitorId))) {
+          return json({ error: 'Monitor not found', field: 'monitor_id' }, corsHeaders, 400);
+        }
+        const window = {
+          monitor_id: monitorId,
+          starts_at: new Date(startsAt).toISOString(),
+          ends_at: new Date(endsAt).toISOString(),
+          reason: typeof body.reason === 'string' ? body.reason : null,
+          created_by: auth.name,
+          created: new Date().toISOString(),
+        };
+        const result = await env.DB.prepare(
+          'INSERT INTO maintenance_windows (monitor_id, starts_at, ends_at, reason, created_by, created) VALUES (?, ?, ?, ?, ?, ?)'
+        ).bind(window.monitor_id, window.starts_at, window.ends_at, window.reason, window.created_by, window.created).run();
+        await log(env, 'health', `Maintenance ${window.starts_at} - ${window.ends_at} for ${monitorId || 'all monitors'}`);
+        return json({ created: true, window: { id: result.meta.last_row_id, ...window } }, corsHeaders);
+      }
+
+      if (path.match(/^\/api\/maintenance\/\d+$/) && method === 'DELETE') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = parseInt(path.split('/')[3]);
+        const result = await env.DB.prepare('DELETE FROM maintenance_windows WHERE id = ?').bind(id).run();
+        if (!result.meta.changes) return json({ error: 'Maintenance window not found' }, corsHeaders, 404);
+        await log(env, 'health', `Maintenance window ${id} deleted`);
+        return json({ deleted: true, id }, corsHeaders);
+      }
+
+      // ==================== NOTIFICATION CHANNELS ====================
+
+      if (path === '/api/notifications/channels' && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 100, KV_PAGE_MAX);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${KV_PAGE_MAX}` }, corsHeaders, 400);
+        const page = await listKVPage(env, 'channel:', limit, url.searchParams.get('cursor'));
+        return json({
+          channels: page.entries.map(e => ({ id: e.name, ...publicChannel(e.value) })),
+          next_cursor: page.next_cursor,
+        }, corsHeaders);
+      }
+
+      if (path === '/api/notifications/channels' && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const channel = {
+          name: body.name,
+          type: body.type,
+          config: body.config,
+          routes: body.routes || { '*': 'warning' },
+          enabled: body.enabled !== false,
+          created: new Date().toISOString(),
+          updated: new Date().toISOString(),
+        };
+        const error = validateChannel(channel);
+        if (error) return json({ error }, corsHeaders, 400);
+        const id = `channel:${Date.now()}_${randomHex(4)}`;
+        await env.MEMORY.put(id, JSON.stringify(channel));
+        await log(env, 'notify', `Channel created: ${channel.name} (${channel.type})`);
+        return json({ created: true, id, channel: publicChannel(channel) }, corsHeaders);
+      }
+
+      // Send a test message to one channel, ignoring its routes
+      if (path.match(/^\/api\/notifications\/channels\/[^/]+\/test$/) && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'channel:' + path.split('/')[4];
+        const channel = await env.MEMORY.get(id, 'json');
+        if (!channel) return json({ error: 'Channel not found' }, corsHeaders, 404);
+        const body = (await request.json().catch(() => null)) || {};
+        const delivery = await deliverNotification(env, { id, ...channel }, {
+          category: 'general',
+          severity: 'info',
+          message: body.message || `🔔 Test notification from Arni (${escapeHtml(channel.name)})`,
+        });
+        return json(delivery, corsHeaders, delivery.success ? 200 : 502);
+      }
+
+      if (path.startsWith('/api/notifications/channels/') && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'channel:' + path.replace('/api/notifications/channels/', '');
+        const channel = await env.MEMORY.get(id, 'json');
+        if (!channel) return json({ error: 'Channel not found' }, corsHeaders, 404);
+        return json({ id, channel: publicChannel(channel) }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/notifications/channels/') && method === 'PUT') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'channel:' + path.replace('/api/notifications/channels/', '');
+        const channel = await env.MEMORY.get(id, 'json');
+        if (!channel) return json({ error: 'Channel not found' }, corsHeaders, 404);
+        const updates = await request.json();
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const updated = { ...channel, updated: new Date().toISOString() };
+        for (const field of ['name', 'type', 'config', 'routes', 'enabled']) {
+          if (updates[field] !== undefined) updated[field] = updates[field];
+        }
+        // A config read back from GET keeps the stored value of each masked field
+        if (updated.config && typeof updated.config === 'object' && updated.config !== channel.config) {
+          updated.config = { ...updated.config };
+          for (const field of CHANNEL_SECRET_FIELDS) {
+            if (updated.config[field] === '********') updated.config[field] = channel.config[field];
+          }
+        }
+        const error = validateChannel(updated);
+        if (error) return json({ error }, corsHeaders, 400);
+        await env.MEMORY.put(id, JSON.stringify(updated));
+        await log(env, 'notify', `Channel updated: ${updated.name}`);
+        return json({ updated: true, id, channel: publicChannel(updated) }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/notifications/channels/') && method === 'DELETE') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'channel:' + path.replace('/api/notifications/channels/', '');
+        if (!(await env.MEMORY.get(id))) return json({ error: 'Channel not found' }, corsHeaders, 404);
+        await env.MEMORY.delete(id);
+        await log(env, 'notify', `Channel deleted: ${id}`);
+        return json({ deleted: true, id }, corsHeaders);
+      }
+
+      // Route a message through the rules, as a real alert would be
+      if (path === '/api/notifications/test' && method === 'POST') {
+        const body = (await request.json().catch(() => null)) || {};
+        const category = body.category || 'general';
+        const severity = body.severity || 'info';
+        if (!NOTIFY_CATEGORIES.includes(category)) {
+          return json({ error: `category must be one of: ${NOTIFY_CATEGORIES.join(', ')}`, field: 'category' }, corsHeaders, 400);
+        }
+        if (!NOTIFY_SEVERITIES.includes(severity)) {
+          return json({ error: `severity must be one of: ${NOTIFY_SEVERITIES.join(', ')}`, field: 'severity' }, corsHeaders, 400);
+        }
+        const deliveries = await notify(env, category, severity, body.message || `🔔 Test ${escapeHtml(severity)} notification (${escapeHtml(category)})`);
+        return json({ category, severity, deliveries }, corsHeaders);
+      }
+
+      // Delivery log (?channel_id=&category=&success=true|false)
+      if (path === '/api/notifications/deliveries' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 50, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const before = parseIdCursor(url.searchParams.get('cursor'));
+        if (before === null) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+        const where = ['id < ?'];
+        const params = [before];
+        for (const field of ['channel_id', 'category']) {
+          const value = url.searchParams.get(field);
+          if (value) { where.push(`${field} = ?`); params.push(field === 'channel_id' && !value.startsWith('channel:') ? `channel:${value}` : value); }
+        }
+        const success = url.searchParams.get('success');
+        if (success === 'true' || success === 'false') { where.push('success = ?'); params.push(success === 'true' ? 1 : 0); }
+        const result = await env.DB.prepare(
+          `SELECT * FROM notification_deliveries WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`
+        ).bind(...params, limit).all();
+        return json({
+          deliveries: result.results.map(d => ({ ...d, success: !!d.success })),
+          next_cursor: idCursor(result.results, limit),
+        }, corsHeaders);
+      }
+
+      // ==================== TELEGRAM BOT ====================
+
+      // Bot updates; Telegram echoes the secret given to setWebhook in X-Telegram-Bot-Api-Secret-Token
+      if (path === '/telegram/webhook' && method === 'POST') {
+        if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_WEBHOOK_SECRET) return json({ error: 'Telegram bot not configured' }, corsHeaders, 500);
+        if (!timingSafeEqual(request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '', env.TELEGRAM_WEBHOOK_SECRET)) {
+          return json({ error: 'Invalid secret token' }, corsHeaders, 401);
+        }
+        const update = await request.json().catch(() => null);
+        if (!update || !Number.isInteger(update.update_id)) return json({ error: 'Invalid update' }, corsHeaders, 400);
+        // Telegram redelivers updates it didn't get a 200 for; handle each one once
+        if (env.MEMORY) {
+          const seenKey = `telegram_update:${update.update_id}`;
+          if (await env.MEMORY.get(seenKey)) return json({ ok: true, duplicate: true }, corsHeaders);
+          await env.MEMORY.put(seenKey, '1', { expirationTtl: 86400 });
+        }
+        await handleTelegramUpdate(env, update);
+        return json({ ok: true }, corsHeaders);
+      }
+
+      // Point the bot at this worker and publish the command menu
+      if (path === '/api/telegram/webhook' && method === 'POST') {
+        if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_WEBHOOK_SECRET) return json({ error: 'Telegram bot not configured' }, corsHeaders, 500);
+        const webhook = await telegramApi(env, 'setWebhook', {
+          url: `${url.origin}/telegram/webhook`,
+          secret_token: env.TELEGRAM_WEBHOOK_SECRET,
+          allowed_updates: ['message', 'callback_query'],
+        });
+        const commands = await telegramApi(env, 'setMyCommands', {
+          commands: TELEGRAM_COMMANDS.map(c => ({ command: c.command, description: c.description })),
+        });
+        const result = { webhook: await webhook.json().catch(() => ({})), commands: await commands.json().catch(() => ({})) };
+        if (!webhook.ok || !commands.ok) return json({ error: 'Telegram request failed', ...result }, corsHeaders, 502);
+        await log(env, 'telegram', `Webhook set to ${url.origin}/telegram/webhook`);
+        return json({ configured: true, url: `${url.origin}/telegram/webhook`, allowed_chats: telegramAllowedChats(env) }, corsHeaders);
+      }
+
+      // ==================== QUEUE API ====================
+
+      // Add job to queue
+      if (path === '/api/queue' && method === 'POST') {
+        if (!env.JOBS_QUEUE) return json({ error: 'Queue not configured' }, corsHeaders, 500);
+        const job = await request.json();
+        if (!job || typeof job !== 'object' || Array.isArray(job)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const { max_attempts, delay_seconds, ...body } = job;
+        if (max_attempts !== undefined && !(Number.isInteger(max_attempts) && max_attempts >= 1 && max_attempts <= QUEUE_MAX_ATTEMPTS_LIMIT)) {
+          return json({ error: `max_attempts must be an integer between 1 and ${QUEUE_MAX_ATTEMPTS_LIMIT}`, field: 'max_attempts' }, corsHeaders, 400);
+        }
+        if (delay_seconds !== undefined && !(Number.isInteger(delay_seconds) && delay_seconds >= 0 && delay_seconds <= 43200)) {
+          return json({ error: 'delay_seconds must be an integer between 0 and 43200', field: 'delay_seconds' }, corsHeaders, 400);
+        }
+        const result = await enqueueJob(env, body.type, body, { maxAttempts: max_attempts, delaySeconds: delay_seconds });
+        if (result.error) return json(result, corsHeaders, 400);
+        await log(env, 'queue', `Job queued: ${body.type} (${result.id})`);
+        return json({ queued: true, job: body.type, id: result.id }, corsHeaders);
+      }
+
+      // Registered job types
+      if (path === '/api/queue/types' && method === 'GET') {
+        return json({
+          types: Object.entries(JOB_TYPES).map(([type, def]) => ({
+            type,
+            description: def.description,
+            max_attempts: def.max_attempts || QUEUE_MAX_ATTEMPTS,
+          })),
+        }, corsHeaders);
+      }
+
+      // Job status rows (?status=&type=)
+      if (path === '/api/queue/jobs' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const status = url.searchParams.get('status');
+        if (status && !QUEUE_JOB_STATUSES.includes(status)) {
+          return json({ error: `status must be one of: ${QUEUE_JOB_STATUSES.join(', ')}`, field: 'status' }, corsHeaders, 400);
+        }
+        const limit = parseLimit(url.searchParams.get('limit'), 50, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+        const offset = cursor ? decodeCursor(cursor)?.offset : 0;
+        if (!Number.isInteger(offset) || offset < 0) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+        return json(await listQueueJobs(env, { status, type: url.searchParams.get('type') }, limit, offset), corsHeaders);
+      }
+
+      // Dead-letter list: jobs that used up their attempts
+      if (path === '/api/queue/dead-letter' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 50, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+        const offset = cursor ? decodeCursor(cursor)?.offset : 0;
+        if (!Number.isInteger(offset) || offset < 0) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+        return json(await listQueueJobs(env, { status: 'failed', type: url.searchParams.get('type') }, limit, offset), corsHeaders);
+      }
+
+      // Send a failed job again with a fresh attempt budget
+      if (path.match(/^\/api\/queue\/jobs\/[^/]+\/requeue$/) && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        if (!env.JOBS_QUEUE) return json({ error: 'Queue not configured' }, corsHeaders, 500);
+        const job = await getQueueJob(env, path.split('/')[4]);
+        if (!job) return json({ error: 'Job not found' }, corsHeaders, 404);
+        if (job.status !== 'failed') return json({ error: `Only failed jobs can be requeued (job is ${job.status})` }, corsHeaders, 409);
+        await env.DB.prepare(
+          "UPDATE queue_jobs SET status = 'queued', attempts = 0, finished_at = NULL, updated = ? WHERE id = ?"
+        ).bind(new Date().toISOString(), job.id).run();
+        await env.JOBS_QUEUE.send({ ...job.payload, type: job.type, job_id: job.id });
+        await log(env, 'queue', `Job requeued: ${job.type} (${job.id}) by ${auth.name}`);
+        return json({ requeued: true, job: await getQueueJob(env, job.id) }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/queue/jobs/') && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const job = await getQueueJob(env, path.replace('/api/queue/jobs/', ''));
+        if (!job) return json({ error: 'Job not found' }, corsHeaders, 404);
+        return json(job, corsHeaders);
+      }
+
+      // Get queue status
+      if (path === '/api/queue/status' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 20, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const before = parseIdCursor(url.searchParams.get('cursor'));
+        if (before === null) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+        const result = await env.DB.prepare(
+          "SELECT * FROM logs WHERE category = 'queue' AND id < ? ORDER BY id DESC LIMIT ?"
+        ).bind(before, limit).all();
+        return json({ jobs: result.results, next_cursor: idCursor(result.results, limit) }, corsHeaders);
+      }
+
+      // ==================== SCHEDULES ====================
+
+      if (path === '/api/schedules' && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 100, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+        const offset = cursor ? decodeCursor(cursor)?.offset : 0;
+        if (!Number.isInteger(offset) || offset < 0) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+        const result = await env.DB.prepare(
+          'SELECT * FROM schedules ORDER BY created DESC, id DESC LIMIT ? OFFSET ?'
+        ).bind(limit + 1, offset).all();
+        return json({
+          schedules: result.results.slice(0, limit).map(formatSchedule),
+          next_cursor: result.results.length > limit ? encodeCursor({ offset: offset + limit }) : null,
+        }, corsHeaders);
+      }
+
+      if (path === '/api/schedules' && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const now = new Date().toISOString();
+        const schedule = {
+          id: `sch_${Date.now()}_${randomHex(4)}`,
+          name: body.name,
+          cron: body.cron,
+          timezone: body.timezone || SCHEDULE_TIMEZONE,
+          job_type: body.job_type,
+          payload: body.payload || {},
+          enabled: body.enabled !== false,
+          next_run: null,
+          last_run: null,
+          last_job_id: null,
+          run_count: 0,
+          created: now,
+          updated: now,
+        };
+        const error = validateSchedule(schedule);
+        if (error) return json(error, corsHeaders, 400);
+        schedule.next_run = schedule.enabled ? nextCronRun(schedule.cron, schedule.timezone, Date.now()) : null;
+        await saveSchedule(env, schedule);
+        await log(env, 'schedule', `Schedule created: ${schedule.name} (${schedule.cron} ${schedule.timezone})`);
+        return json({ created: true, schedule }, corsHeaders);
+      }
+
+      if (path.match(/^\/api\/schedules\/[^/]+\/(pause|resume)$/) && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const [, , , id, action] = path.split('/');
+        const schedule = await getSchedule(env, id);
+        if (!schedule) return json({ error: 'Schedule not found' }, corsHeaders, 404);
+        schedule.enabled = action === 'resume';
+        // Resuming skips the runs missed while paused
+        schedule.next_run = schedule.enabled ? nextCronRun(schedule.cron, schedule.timezone, Date.now()) : null;
+        schedule.updated = new Date().toISOString();
+        await saveSchedule(env, schedule);
+        await log(env, 'schedule', `Schedule ${action === 'resume' ? 'resumed' : 'paused'}: ${schedule.name} by ${auth.name}`);
+        return json({ [action === 'resume' ? 'resumed' : 'paused']: true, schedule }, corsHeaders);
+      }
+
+      // Fire the schedule's job now; next_run is left alone
+      if (path.match(/^\/api\/schedules\/[^/]+\/run$/) && method === 'POST') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        if (!env.JOBS_QUEUE) return json({ error: 'Queue not configured' }, corsHeaders, 500);
+        const schedule = await getSchedule(env, path.split('/')[3]);
+        if (!schedule) return json({ error: 'Schedule not found' }, corsHeaders, 404);
+        const queued = await enqueueJob(env, schedule.job_type, schedule.payload);
+        if (queued.error) return json(queued, corsHeaders, 400);
+        await env.DB.prepare(
+          'UPDATE schedules SET last_run = ?, last_job_id = ?, run_count = run_count + 1 WHERE id = ?'
+        ).bind(new Date().toISOString(), queued.id, schedule.id).run();
+        await log(env, 'schedule', `Schedule run manually: ${schedule.name} -> ${queued.id}`);
+        return json({ queued: true, job_id: queued.id }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/schedules/') && method === 'GET') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const schedule = await getSchedule(env, path.replace('/api/schedules/', ''));
+        if (!schedule) return json({ error: 'Schedule not found' }, corsHeaders, 404);
+        return json(schedule, corsHeaders);
+      }
+
+      if (path.startsWith('/api/schedules/') && method === 'PUT') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const schedule = await getSchedule(env, path.replace('/api/schedules/', ''));
+        if (!schedule) return json({ error: 'Schedule not found' }, corsHeaders, 404);
+        const updates = await request.json();
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const updated = { ...schedule, updated: new Date().toISOString() };
+        for (const field of ['name', 'cron', 'timezone', 'job_type', 'payload', 'enabled']) {
+          if (updates[field] !== undefined) updated[field] = updates[field];
+        }
+        const error = validateSchedule(updated);
+        if (error) return json(error, corsHeaders, 400);
+        if (!updated.enabled) {
+          updated.next_run = null;
+        } else if (updated.cron !== schedule.cron || updated.timezone !== schedule.timezone || !schedule.enabled) {
+          updated.next_run = nextCronRun(updated.cron, updated.timezone, Date.now());
+        }
+        await saveSchedule(env, updated);
+        await log(env, 'schedule', `Schedule updated: ${updated.name}`);
+        return json({ updated: true, schedule: updated }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/schedules/') && method === 'DELETE') {
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = path.replace('/api/schedules/', '');
+        const result = await env.DB.prepare('DELETE FROM schedules WHERE id = ?').bind(id).run();
+        if (!result.meta.changes) return json({ error: 'Schedule not found' }, corsHeaders, 404);
+        await log(env, 'schedule', `Schedule deleted: ${id}`);
+        return json({ deleted: true, id }, corsHeaders);
+      }
+
+      // ==================== NOTION API ====================
+
+      // Search Notion databases
+      if (path === '/api/notion/search' && method === 'POST') {
+        if (!env.NOTION_API_KEY) return json({ error: 'Notion not configured' }, corsHeaders, 500);
+        const body = await request.json();
+        const { data } = await notionRequest(env, 'POST', '/search', body);
+        return json(data, corsHeaders);
+      }
+
+      // Query Notion database
+      if (path.startsWith('/api/notion/database/') && method === 'POST') {
+        if (!env.NOTION_API_KEY) return json({ error: 'Notion not configured' }, corsHeaders, 500);
+        const dbId = path.replace('/api/notion/database/', '').replace('/query', '');
+        const body = await request.json();
+        const { data } = await notionRequest(env, 'POST', `/databases/${dbId}/query`, body);
+        return json(data, corsHeaders);
+      }
+
+      // Get/Create Notion page
+      if (path.startsWith('/api/notion/page/') && method === 'GET') {
+        if (!env.NOTION_API_KEY) return json({ error: 'Notion not configured' }, corsHeaders, 500);
+        const pageId = path.replace('/api/notion/page/', '');
+        const { data } = await notionRequest(env, 'GET', `/pages/${pageId}`);
+        return json(data, corsHeaders);
+      }
+
+      if (path === '/api/notion/pages' && method === 'POST') {
+        if (!env.NOTION_API_KEY) return json({ error: 'Notion not configured' }, corsHeaders, 500);
+        const body = await request.json();
+        const { data } = await notionRequest(env, 'POST', '/pages', body);
+        return json(data, corsHeaders);
+      }
+
+      // Two-way sync settings and last results
+      if (path === '/api/notion/sync' && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const config = await getNotionSyncConfig(env);
+        const state = await env.MEMORY.get('notion_sync_state', 'json');
+        return json({ config, state: state || {} }, corsHeaders);
+      }
+
+      if (path === '/api/notion/sync' && method === 'PUT') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const body = await request.json();
+        const invalid = validateNotionSyncConfig(body);
+        if (invalid) return json(invalid, corsHeaders, 400);
+        const config = mergeNotionSyncConfig(body);
+        await env.MEMORY.put('config:notion_sync', JSON.stringify(config));
+        await log(env, 'config', 'Notion sync settings updated');
+        return json({ updated: true, config }, corsHeaders);
+      }
+
+      // Queue a sync now (?entity=tasks|notes|all)
+      if (path === '/api/notion/sync/run' && method === 'POST') {
+        if (!env.NOTION_API_KEY) return json({ error: 'Notion not configured' }, corsHeaders, 500);
+        if (!env.JOBS_QUEUE) return json({ error: 'Queue not configured' }, corsHeaders, 500);
+        const entity = url.searchParams.get('entity') || 'all';
+        if (!['tasks', 'notes', 'all'].includes(entity)) {
+          return json({ error: 'entity must be one of: tasks, notes, all', field: 'entity' }, corsHeaders, 400);
+        }
+        const queued = await enqueueJob(env, 'notion-sync', { entity });
+        if (queued.error) return json(queued, corsHeaders, 500);
+        await log(env, 'queue', `Job queued: notion-sync (${entity}, ${queued.id})`);
+        return json({ queued: true, job: 'notion-sync', job_id: queued.id, entity }, corsHeaders);
+      }
+
+      // ==================== R2 STORAGE ====================
+
+      // Upload file to R2
+      if (path.startsWith('/api/storage/') && method === 'PUT') {
+        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
+        const key = path.replace('/api/storage/', '');
+        const body = await request.arrayBuffer();
+        const contentType = request.headers.get('Content-Type') || 'application/octet-stream';
+        await env.STORAGE.put(key, body, { httpMetadata: { contentType } });
+        return json({ uploaded: true, key, size: body.byteLength }, corsHeaders);
+      }
+
+      // Get file from R2
+      if (path.startsWith('/api/storage/') && method === 'GET') {
+        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
+        const key = path.replace('/api/storage/', '');
+        const object = await env.STORAGE.get(key);
+        if (!object) return json({ error: 'Not found' }, corsHeaders, 404);
+        const headers = new Headers(corsHeaders);
+        headers.set('Content-Type', object.httpMetadata?.contentType || 'application/octet-stream');
+        headers.set('Content-Length', object.size);
+        return new Response(object.body, { headers });
+      }
+
+      // Delete file from R2
+      if (path.startsWith('/api/storage/') && method === 'DELETE') {
+        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
+        const key = path.replace('/api/storage/', '');
+        await env.STORAGE.delete(key);
+        return json({ deleted: true, key }, corsHeaders);
+      }
+
+      // List files in R2
+      if (path === '/api/storage' && method === 'GET') {
+        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
+        const prefix = url.searchParams.get('prefix') || '';
+        const limit = parseLimit(url.searchParams.get('limit'), 100, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const list = await env.STORAGE.list({ prefix, limit, cursor: url.searchParams.get('cursor') || undefined });
+        return json({
+          objects: list.objects.map(o => ({ key: o.key, size: o.size, uploaded: o.uploaded })),
+          truncated: list.truncated,
+          next_cursor: list.truncated ? list.cursor : null,
+        }, corsHeaders);
+      }
+
+      // ==================== BACKUPS ====================
+
+      if (path === '/api/backups' && method === 'GET') {
+        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
+        return json({ backups: await listBackups(env) }, corsHeaders);
+      }
+
+      // Queue a backup now
+      if (path === '/api/backups' && method === 'POST') {
+        if (!env.JOBS_QUEUE) return json({ error: 'Queue not configured' }, corsHeaders, 500);
+        const queued = await enqueueJob(env, 'backup', { target: 'r2' });
+        if (queued.error) return json(queued, corsHeaders, 500);
+        await log(env, 'queue', `Job queued: backup (${queued.id})`);
+        return json({ queued: true, job: 'backup', job_id: queued.id }, corsHeaders);
+      }
+
+      if (path.match(/^\/api\/backups\/[^/]+$/) && method === 'GET') {
+        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
+        const manifest = await getBackupManifest(env, path.split('/')[3]);
+        if (!manifest) return json({ error: 'Backup not found' }, corsHeaders, 404);
+        return json({ backup: manifest }, corsHeaders);
+      }
+
+      // Restore (?dry_run=true&mode=skip|overwrite&include=kv,tasks,...)
+      if (path.match(/^\/api\/backups\/[^/]+\/restore$/) && method === 'POST') {
+        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const mode = url.searchParams.get('mode') || 'skip';
+        if (!['skip', 'overwrite'].includes(mode)) return json({ error: 'mode must be skip or overwrite' }, corsHeaders, 400);
+        const include = url.searchParams.get('include')?.split(',') || ['kv', ...BACKUP_D1_TABLES];
+        const unknown = include.find(part => part !== 'kv' && !BACKUP_D1_TABLES.includes(part));
+        if (unknown) return json({ error: `include must list kv or tables: ${BACKUP_D1_TABLES.join(', ')}`, field: 'include' }, corsHeaders, 400);
+
+        if (!env.JOBS_QUEUE) return json({ error: 'Queue not configured' }, corsHeaders, 500);
+
+        const manifest = await getBackupManifest(env, path.split('/')[3]);
+        if (!manifest) return json({ error: 'Backup not found' }, corsHeaders, 404);
+        const dryRun = url.searchParams.get('dry_run') === 'true';
+        const restore = await startRestore(env, manifest, { mode, dryRun, include });
+        await log(env, 'backup', `${dryRun ? 'Dry-run restore' : 'Restore'} of ${manifest.id} queued (${mode}, ${restore.id})`);
+        return json({ queued: true, restore }, corsHeaders, 202);
+      }
+
+      // Restore progress and report
+      if (path.match(/^\/api\/backups\/restores\/[^/]+$/) && method === 'GET') {
+        if (!env.STORAGE) return json({ error: 'R2 not configured' }, corsHeaders, 500);
+        const restore = await getRestore(env, path.split('/')[4]);
+        if (!restore) return json({ error: 'Restore not found' }, corsHeaders, 404);
+        return json({ restore }, corsHeaders);
+      }
+
+      // ==================== FAKTUROWNIA API ====================
+
+      // List invoices
+      if (path === '/api/invoices' && method === 'GET') {
+        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
+        const page = url.searchParams.get('page') || '1';
+        const response = await fakturowniaFetch(env, `/invoices.json?page=${encodeURIComponent(page)}`);
+        const data = await response.json();
+        return json(data, corsHeaders);
+      }
+
+      // Issued/paid/unpaid/overdue totals per client and month
+      if (path === '/api/invoices/report' && method === 'GET') {
+        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
+        const today = zonedDate(Date.now(), INVOICE_TIMEZONE);
+        const from = url.searchParams.get('from') || `${today.slice(0, 4)}-01-01`;
+        const to = url.searchParams.get('to') || today;
+        for (const [field, value] of [['from', from], ['to', to]]) {
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+            return json({ error: `${field} must be a date (YYYY-MM-DD)`, field }, corsHeaders, 400);
+          }
+        }
+        if (from > to) return json({ error: 'from must not be after to', field: 'from' }, corsHeaders, 400);
+        const { invoices, truncated } = await listFakturowniaInvoices(env, from, to);
+        return json({ from, to, truncated, ...invoiceReport(invoices, today) }, corsHeaders);
+      }
+
+      // Get single invoice
+      if (path.match(/^\/api\/invoices\/\d+$/) && method === 'GET') {
+        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
+        const invoiceId = path.replace('/api/invoices/', '');
+        const response = await fakturowniaFetch(env, `/invoices/${invoiceId}.json`);
+        const data = await response.json();
+        return json(data, corsHeaders);
+      }
+
+      // Create invoice
+      if (path === '/api/invoices' && method === 'POST') {
+        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
+        const body = await request.json();
+        const { data } = await createFakturowniaInvoice(env, body);
+        return json(data, corsHeaders);
+      }
+
+      // Get invoice PDF
+      if (path.match(/^\/api\/invoices\/\d+\/pdf$/) && method === 'GET') {
+        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
+        const invoiceId = path.replace('/api/invoices/', '').replace('/pdf', '');
+        const response = await fakturowniaFetch(env, `/invoices/${invoiceId}.pdf`);
+        return new Response(response.body, {
+          headers: { 'Content-Type': 'application/pdf', ...corsHeaders },
+        });
+      }
+
+      // Mark invoice as paid
+      if (path.match(/^\/api\/invoices\/\d+\/paid$/) && method === 'POST') {
+        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
+        const invoiceId = path.split('/')[3];
+        const response = await fakturowniaFetch(env, `/invoices/${invoiceId}/change_status.json`, { method: 'POST', body: { status: 'paid' } });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) return json({ error: 'Fakturownia request failed', status: response.status, details: data }, corsHeaders, 502);
+        await log(env, 'invoice', `Invoice ${invoiceId} marked paid by ${auth.name}`);
+        return json({ paid: true, id: invoiceId }, corsHeaders);
+      }
+
+      // Send payment reminder email via Fakturownia
+      if (path.match(/^\/api\/invoices\/\d+\/remind$/) && method === 'POST') {
+        if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return json({ error: 'Fakturownia not configured' }, corsHeaders, 500);
+        const invoiceId = path.split('/')[3];
+        const body = await request.json().catch(() => ({}));
+        const params = new URLSearchParams();
+        if (body.email_to) params.set('email_to', body.email_to);
+        if (body.email_cc) params.set('email_cc', body.email_cc);
+        const query = params.toString();
+        const response = await fakturowniaFetch(env, `/invoices/${invoiceId}/send_by_email.json${query ? `?${query}` : ''}`, { method: 'POST', body: {} });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) return json({ error: 'Fakturownia request failed', status: response.status, details: data }, corsHeaders, 502);
+        await log(env, 'invoice', `Reminder sent for invoice ${invoiceId} by ${auth.name}`);
+        return json({ sent: true, id: invoiceId }, corsHeaders);
+      }
+
+      // ==================== INVOICE TEMPLATES ====================
+
+      if (path === '/api/invoice-templates' && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 100, KV_PAGE_MAX);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${KV_PAGE_MAX}` }, corsHeaders, 400);
+        const page = await listKVPage(env, 'invoice_template:', limit, url.searchParams.get('cursor'));
+        return json({
+          templates: page.entries.map(e => ({ id: e.name, ...e.value })),
+          next_cursor: page.next_cursor,
+        }, corsHeaders);
+      }
+
+      if (path === '/api/invoice-templates' && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const template = {
+          name: body.name,
+          enabled: body.enabled !== false,
+          client: body.client,
+          positions: body.positions,
+          currency: body.currency || 'PLN',
+          kind: body.kind || 'vat',
+          payment_days: body.payment_days ?? 14,
+          schedule: body.schedule,
+          timezone: body.timezone || INVOICE_TIMEZONE,
+          created: new Date().toISOString(),
+          updated: new Date().toISOString(),
+        };
+        const error = validateInvoiceTemplate(template);
+        if (error) return json({ error }, corsHeaders, 400);
+        template.next_run = nextCronRun(template.schedule, template.timezone, Date.now());
+        const id = `invoice_template:${Date.now()}_${randomHex(4)}`;
+        await env.MEMORY.put(id, JSON.stringify(template));
+        await log(env, 'invoice', `Template created: ${template.name}`);
+        return json({ created: true, id, template }, corsHeaders);
+      }
+
+      // Issue an invoice from the template now
+      if (path.match(/^\/api\/invoice-templates\/[^/]+\/run$/) && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        if (!env.JOBS_QUEUE) return json({ error: 'Queue not configured' }, corsHeaders, 500);
+        const id = 'invoice_template:' + path.split('/')[3];
+        if (!(await env.MEMORY.get(id))) return json({ error: 'Template not found' }, corsHeaders, 404);
+        const job = { type: 'invoice', action: 'create_from_template', template_id: id, run_at: new Date().toISOString() };
+        const queued = await enqueueJob(env, 'invoice', job);
+        if (queued.error) return json(queued, corsHeaders, 500);
+        await log(env, 'queue', `Job queued: invoice (${id})`);
+        return json({ queued: true, job, job_id: queued.id }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/invoice-templates/') && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'invoice_template:' + path.replace('/api/invoice-templates/', '');
+        const template = await env.MEMORY.get(id, 'json');
+        if (!template) return json({ error: 'Template not found' }, corsHeaders, 404);
+        return json({ id, template }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/invoice-templates/') && method === 'PUT') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'invoice_template:' + path.replace('/api/invoice-templates/', '');
+        const template = await env.MEMORY.get(id, 'json');
+        if (!template) return json({ error: 'Template not found' }, corsHeaders, 404);
+        const updates = await request.json();
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const updated = { ...template, updated: new Date().toISOString() };
+        for (const field of ['name', 'enabled', 'client', 'positions', 'currency', 'kind', 'payment_days', 'schedule', 'timezone']) {
+          if (updates[field] !== undefined) updated[field] = updates[field];
+        }
+        const error = validateInvoiceTemplate(updated);
+        if (error) return json({ error }, corsHeaders, 400);
+        if (updated.schedule !== template.schedule || updated.timezone !== template.timezone || (updated.enabled && !template.enabled)) {
+          updated.next_run = nextCronRun(updated.schedule, updated.timezone, Date.now());
+        }
+        await env.MEMORY.put(id, JSON.stringify(updated));
+        await log(env, 'invoice', `Template updated: ${updated.name}`);
+        return json({ updated: true, id, template: updated }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/invoice-templates/') && method === 'DELETE') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'invoice_template:' + path.replace('/api/invoice-templates/', '');
+        if (!(await env.MEMORY.get(id))) return json({ error: 'Template not found' }, corsHeaders, 404);
+        await env.MEMORY.delete(id);
+        await log(env, 'invoice', `Template deleted: ${id}`);
+        return json({ deleted: true, id }, corsHeaders);
+      }
+
+      // ==================== BUDGETS ====================
+
+      // Every budget with its spend in the current period
+      if (path === '/api/budgets' && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const budgets = [];
+        for (const budget of await getBudgets(env)) budgets.push(await budgetStatus(env, budget));
+        return json({ budgets }, corsHeaders);
+      }
+
+      if (path === '/api/budgets' && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const budget = {
+          name: body.name,
+          dimension: body.dimension,
+          value: body.value ?? '*',
+          period: body.period,
+          limit: body.limit,
+          thresholds: body.thresholds || BUDGET_THRESHOLDS,
+          enabled: body.enabled !== false,
+          created: new Date().toISOString(),
+          updated: new Date().toISOString(),
+        };
+        const error = validateBudget(budget);
+        if (error) return json({ error }, corsHeaders, 400);
+        const id = `budget:${Date.now()}_${randomHex(4)}`;
+        await env.MEMORY.put(id, JSON.stringify(budget));
+        await log(env, 'budget', `Budget created: ${budget.name} ($${budget.limit} ${budget.period})`);
+        return json({ created: true, id, budget }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/budgets/') && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        if (!env.DB) return json({ error: 'D1 not configured' }, corsHeaders, 500);
+        const id = 'budget:' + path.replace('/api/budgets/', '');
+        const budget = await env.MEMORY.get(id, 'json');
+        if (!budget) return json({ error: 'Budget not found' }, corsHeaders, 404);
+        return json(await budgetStatus(env, { id, ...budget }), corsHeaders);
+      }
+
+      if (path.startsWith('/api/budgets/') && method === 'PUT') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'budget:' + path.replace('/api/budgets/', '');
+        const budget = await env.MEMORY.get(id, 'json');
+        if (!budget) return json({ error: 'Budget not found' }, corsHeaders, 404);
+        const updates = await request.json();
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const updated = { ...budget, updated: new Date().toISOString() };
+        for (const field of ['name', 'dimension', 'value', 'period', 'limit', 'thresholds', 'enabled']) {
+          if (updates[field] !== undefined) updated[field] = updates[field];
+        }
+        const error = validateBudget(updated);
+        if (error) return json({ error }, corsHeaders, 400);
+        await env.MEMORY.put(id, JSON.stringify(updated));
+        await log(env, 'budget', `Budget updated: ${updated.name}`);
+        return json({ updated: true, id, budget: updated }, corsHeaders);
+      }
+
+      if (path.startsWith('/api/budgets/') && method === 'DELETE') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = 'budget:' + path.replace('/api/budgets/', '');
+        if (!(await env.MEMORY.get(id))) return json({ error: 'Budget not found' }, corsHeaders, 404);
+        await env.MEMORY.delete(id);
+        await log(env, 'budget', `Budget deleted: ${id}`);
+        return json({ deleted: true, id }, corsHeaders);
+      }
+
+      // ==================== MODEL USAGE ====================
+
+      // Log model usage (D1 primary, KV fallback)
+      if (path === '/usage' && method === 'POST') {
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        const { provider, model, tokens_in, tokens_out, cost, task_type, success, task_id } = body;
+        if (task_id !== undefined && (typeof task_id !== 'string' || !task_id)) {
+          return json({ error: 'task_id must be a task id', field: 'task_id' }, corsHeaders, 400);
+        }
+
+        const usage = {
+          timestamp: new Date().toISOString(),
+          provider: provider || 'unknown',
+          model: model || 'unknown',
+          tokens_in: tokens_in || 0,
+          tokens_out: tokens_out || 0,
+          cost: cost || 0,
+          task_type: task_type || 'general',
+          success: success !== false,
+          task_id: task_id ? taskKey(task_id) : null,
+        };
+
+        let id;
+        // Try D1 first
+        if (env.DB) {
+          try {
+            const result = await env.DB.prepare(
+              'INSERT INTO analytics (provider, model, tokens_in, tokens_out, cost, task_type, success, task_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+            ).bind(usage.provider, usage.model, usage.tokens_in, usage.tokens_out, usage.cost, usage.task_type, usage.success ? 1 : 0, usage.task_id).run();
+            id = `d1:${result.meta.last_row_id}`;
+          } catch (e) {
+            console.error('D1 insert failed:', e);
+          }
+        }
+
+        // Fallback to KV
+        if (!id && env.MEMORY) {
+          id = `usage:${Date.now()}`;
+          await env.MEMORY.put(id, JSON.stringify(usage), { expirationTtl: 86400 * 90 });
+        }
+
+        // Update aggregated stats (still in KV for now)
+        if (env.MEMORY) {
+          await updateModelStats(env, usage);
+        }
+
+        // Budgets are summed from D1, so only usage stored there counts
+        let budgetExceeded = false;
+        if (id?.startsWith('d1:') && env.MEMORY) {
+          try {
+            budgetExceeded = (await checkBudgets(env, usage)).exceeded;
+          } catch (e) {
+            console.error('Budget check failed:', e);
+          }
+        }
+
+        return json({ logged: true, id, storage: id?.startsWith('d1:') ? 'd1' : 'kv', budget_exceeded: budgetExceeded }, corsHeaders);
+      }
+
+      // Get usage history (D1 primary, KV fallback)
+      if (path === '/usage' && method === 'GET') {
+        const limit = parseLimit(url.searchParams.get('limit'), 100, 1000);
+        if (limit === null) return json({ error: 'limit must be an integer between 1 and 1000' }, corsHeaders, 400);
+        const cursor = url.searchParams.get('cursor');
+
+        // Try D1 first (cursor is the last id seen)
+        if (env.DB) {
+          const before = parseIdCursor(cursor);
+          if (before === null) return json({ error: 'Invalid cursor' }, corsHeaders, 400);
+          try {
+            const result = await env.DB.prepare(
+              'SELECT id, provider, model, tokens_in, tokens_out, cost, task_type, success, task_id, created_at as timestamp FROM analytics WHERE id < ? ORDER BY id DESC LIMIT ?'
+            ).bind(before, limit).all();
+            return json({ usage: result.results, storage: 'd1', next_cursor: idCursor(result.results, limit) }, corsHeaders);
+          } catch (e) {
+            console.error('D1 query failed:', e);
+          }
+        }
+
+        // Fallback to KV (cursor is the KV list cursor)
+        if (!env.MEMORY) return json({ error: 'No storage bound' }, corsHeaders, 500);
+        const page = await listKVPage(env, 'usage:', limit, env.DB ? null : cursor);
+        return json({
+          usage: page.entries.map(e => ({ id: e.name, ...e.value })),
+          storage: 'kv',
+          next_cursor: page.next_cursor,
+        }, corsHeaders);
+      }
+
+      // Get model stats
+      if (path === '/usage/stats' && method === 'GET') {
+        const stats = await getModelStats(env);
+        return json({ stats }, corsHeaders);
+      }
+
+      // Live usage feed (last 10) - D1 primary
+      if (path === '/usage/live' && method === 'GET') {
+        // Try D1 first
+        if (env.DB) {
+          try {
+            const result = await env.DB.prepare(
+              'SELECT id, provider, model, tokens_in, tokens_out, cost, task_type, success, task_id, created_at as timestamp FROM analytics ORDER BY id DESC LIMIT 10'
+            ).all();
+            return json({ usage: result.results, storage: 'd1' }, corsHeaders);
+          } catch (e) {
+            console.error('D1 query failed:', e);
+          }
+        }
+
+        // Fallback to KV
+        if (!env.MEMORY) return json({ error: 'No storage bound' }, corsHeaders, 500);
+        const list = await env.MEMORY.list({ prefix: 'usage:', limit: 10 });
+        const usage = await Promise.all(
+          list.keys.map(async k => {
+            const val = await env.MEMORY.get(k.name);
+            return val ? JSON.parse(val) : null;
+          })
+        );
+        return json({ usage: usage.filter(Boolean).reverse(), storage: 'kv' }, corsHeaders);
+      }
+
+      // ==================== API KEYS ====================
+
+      // Create API key - the plaintext key is only returned once
+      if (path === '/api/keys' && method === 'POST') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const body = await request.json();
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return json({ error: 'body must be a JSON object' }, corsHeaders, 400);
+        if (!body.name || typeof body.name !== 'string') return json({ error: 'name required' }, corsHeaders, 400);
+        if (!Array.isArray(body.scopes) || !body.scopes.length) return json({ error: 'scopes must be a non-empty array' }, corsHeaders, 400);
+        const unknown = body.scopes.filter(s => !isKnownScope(s));
+        if (unknown.length) return json({ error: `Unknown scopes: ${unknown.join(', ')}` }, corsHeaders, 400);
+
+        let expires = null;
+        if (body.expires_at) {
+          const ts = Date.parse(body.expires_at);
+          if (isNaN(ts) || ts <= Date.now()) return json({ error: 'expires_at must be a future ISO date' }, corsHeaders, 400);
+          expires = new Date(ts).toISOString();
+        } else if (body.expires_in_days !== undefined) {
+          const days = Number(body.expires_in_days);
+          if (!(days > 0)) return json({ error: 'expires_in_days must be a positive number' }, corsHeaders, 400);
+          expires = new Date(Date.now() + days * 86400000).toISOString();
+        }
+
+        const { key, record } = await createApiKey(env, {
+          name: body.name,
+          scopes: body.scopes,
+          expires,
+          created_by: auth.id,
+        });
+        await log(env, 'auth', `API key created: ${record.name} (${record.id})`);
+        return json({ created: true, key, api_key: publicApiKey(record) }, corsHeaders);
+      }
+
+      // List API keys (hashes are never returned)
+      if (path === '/api/keys' && method === 'GET') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const limit = parseLimit(url.searchParams.get('limit'), 100, KV_PAGE_MAX);
+        if (limit === null) return json({ error: `limit must be an integer between 1 and ${KV_PAGE_MAX}` }, corsHeaders, 400);
+        const page = await listKVPage(env, 'apikey:', limit, url.searchParams.get('cursor'));
+        return json({ keys: page.entries.map(e => publicApiKey(e.value)), next_cursor: page.next_cursor }, corsHeaders);
+      }
+
+      // Revoke API key (kept for audit, no longer accepted)
+      if (path.startsWith('/api/keys/') && method === 'DELETE') {
+        if (!env.MEMORY) return json({ error: 'KV not bound' }, corsHeaders, 500);
+        const id = path.replace('/api/keys/', '');
+        const existing = await env.MEMORY.get(`apikey:${id}`);
+        if (!existing) return json({ error: 'API key not found' }, corsHeaders, 404);
+        const record = JSON.parse(existing);
+        record.revoked = true;
+        record.revoked_at = new Date().toISOString();
+        await env.MEMORY.put(`apikey:${id}`, JSON.stringify(record));
+        await log(env, 'auth', `API key revoked: ${record.name} (${id})`);
+        return json({ revoked: true, id }, corsHeaders);
+      }
+
+      // 404
+      return new Response('Not Found', { status: 404, headers: corsHeaders });
+
+    } catch (error) {
+      await log(env, 'error', error.message);
+      return json({ error: error.message, stack: error.stack }, corsHeaders, 500);
+    }
+  },
+
+  // Cron handler - runs every hour
+  async scheduled(event, env, ctx) {
+    const now = new Date().toISOString();
+    await log(env, 'cron', `Scheduled run at ${now}`);
+    await incrementStat(env, 'cron_runs');
+    try {
+      await ensureSchema(env);
+    } catch (e) {
+      console.error('D1 migration failed:', e);
+      await log(env, 'cron', `D1 migration failed: ${e.message}`);
+    }
+
+    // Move legacy KV tasks into D1 once
+    if (env.DB && env.MEMORY && !(await env.MEMORY.get('migration:tasks_d1'))) {
+      try {
+        await migrateKvTasks(env);
+      } catch (e) {
+        console.error('Task migration failed:', e);
+      }
+    }
+
+    // Dispatch workers that missed their heartbeat lose the task
+    if (env.DB) {
+      try {
+        await requeueExpiredLeases(env);
+      } catch (e) {
+        console.error('Lease check failed:', e);
+      }
+    }
+
+    // Recurring invoices that are due
+    if (env.MEMORY && env.JOBS_QUEUE) {
+      try {
+        await enqueueDueInvoices(env);
+        if (env.FAKTUROWNIA_USER && env.FAKTUROWNIA_TOKEN) await scheduleOverdueDigest(env, event.scheduledTime);
+      } catch (e) {
+        console.error('Invoice scheduling failed:', e);
+      }
+    }
+
+    // User-defined schedules
+    if (env.DB && env.JOBS_QUEUE) {
+      try {
+        await runDueSchedules(env, event.scheduledTime);
+      } catch (e) {
+        console.error('Schedules failed:', e);
+      }
+    }
+
+    // Nightly backup
+    if (env.MEMORY && env.STORAGE && env.JOBS_QUEUE) {
+      try {
+        await scheduleBackup(env, event.scheduledTime);
+      } catch (e) {
+        console.error('Backup scheduling failed:', e);
+      }
+    }
+
+    // Periodic Notion sync, when enabled
+    if (env.MEMORY && env.JOBS_QUEUE && env.NOTION_API_KEY) {
+      try {
+        await scheduleNotionSync(env);
+      } catch (e) {
+        console.error('Notion sync scheduling failed:', e);
+      }
+    }
+
+    // Uptime monitors that are due
+    if (env.DB) {
+      try {
+        await runDueMonitors(env, event.scheduledTime);
+      } catch (e) {
+        console.error('Monitors failed:', e);
+      }
+    }
+
+    // Cleanup old logs (keep 7 days)
+    if (env.DB) {
+      try {
+        await env.DB.prepare(
+          "DELETE FROM logs WHERE created_at < datetime('now', '-7 days')"
+        ).run();
+        // Webhook deliveries expire from KV after 30 days; drop them from search too
+        await env.DB.prepare(
+          "DELETE FROM search_index WHERE entity_type = 'webhook' AND created < ?"
+        ).bind(new Date(Date.now() - 30 * 86400000).toISOString()).run();
+        await pruneQueueJobs(env);
+        await pruneMonitorChecks(env);
+        await pruneNotificationDeliveries(env);
+        await pruneBudgetAlerts(env);
+      } catch (e) {
+        console.error('Cleanup failed:', e);
+      }
+    }
+  },
+
+  // Queue consumer handler
+  async queue(batch, env) {
+    await ensureSchema(env);
+    for (const message of batch.messages) {
+      const job = message.body;
+      console.log(`Processing job: ${job.type}`);
+      await runQueueMessage(env, job, message);
+    }
+  }
+};
+
+// ==================== NOTIFICATIONS ====================
+
+const NOTIFY_CATEGORIES = ['health', 'queue', 'budget', 'webhook', 'invoice', 'general'];
+const NOTIFY_SEVERITIES = ['info', 'warning', 'critical']; // ascending
+const NOTIFY_RETENTION_DAYS = 14;
+
+// Telegram messages are written in its HTML subset; other channels get plain text
+function htmlToText(html, bold = '') {
+  return String(html)
+    .replace(/<b>([\s\S]*?)<\/b>/g, `${bold}$1${bold}`)
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+async function postJson(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': 'Arni-Notifications/1.0', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  });
+}
+
+async function telegramApi(env, method, params) {
+  if (!env.TELEGRAM_BOT_TOKEN) throw new Error('Telegram bot token not configured');
+  return postJson(`https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/${method}`, params);
+}
+
+// Low-level Telegram send, also used for bot replies
+async function sendTelegramMessage(env, chatId, text, extra = {}) {
+  return telegramApi(env, 'sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    ...extra,
+  });
+}
+
+// Each type lists its required config fields and sends { category, severity, message }
+const CHANNEL_TYPES = {
+  telegram: {
+    required: ['chat_id'],
+    send: (env, config, n) => sendTelegramMessage(env, config.chat_id, n.message),
+  },
+  slack: {
+    required: ['webhook_url'],
+    send: (env, config, n) => postJson(config.webhook_url, { text: htmlToText(n.message, '*') }),
+  },
+  discord: {
+    required: ['webhook_url'],
+    send: (env, config, n) => postJson(config.webhook_url, { content: htmlToText(n.message, '**').slice(0, 2000) }),
+  },
+  webhook: {
+    required: ['url'],
+    send: async (env, config, n) => {
+      const body = JSON.stringify({
+        category: n.category,
+        severity: n.severity,
+        message: htmlToText(n.message),
+        html: n.message,
+        timestamp: new Date().toISOString(),
+      });
+      const headers = {};
+      if (config.secret) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        headers['X-Arni-Signature'] = `t=${timestamp},v1=${toHex(await hmac(config.secret, `${timestamp}.${body}`))}`;
+      }
+      return postJson(config.url, body, headers);
+    },
+  },
+  email: {
+    required: ['to'],
+    // Goes through an HTTP mail relay (EMAIL_RELAY_URL, optional EMAIL_RELAY_TOKEN)
+    send: (env, config, n) => {
+      if (!env.EMAIL_RELAY_URL) throw new Error('EMAIL_RELAY_URL not configured');
+      return postJson(env.EMAIL_RELAY_URL, {
+        from: config.from || env.EMAIL_FROM,
+        to: config.to,
+        subject: `[Arni] ${n.severity}: ${htmlToText(n.message).split('\n')[0].slice(0, 120)}`,
+        text: htmlToText(n.message),
+        html: n.message.replace(/\n/g, '<br>'),
+      }, env.EMAIL_RELAY_TOKEN ? { Authorization: `Bearer ${env.EMAIL_RELAY_TOKEN}` } : {});
+    },
+  },
+};
+
+// Returns an error message or null
+function validateChannel(channel) {
+  if (typeof channel.name !== 'string' || !channel.name.trim()) return 'name is required';
+  const type = CHANNEL_TYPES[channel.type];
+  if (!type) return `type must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`;
+  if (!channel.config || typeof channel.config !== 'object') return 'config is required';
+  for (const field of type.required) {
+    if (channel.config[field] === undefined || channel.config[field] === '') return `config.${field} is required`;
+  }
+  for (const field of ['webhook_url', 'url']) {
+    if (channel.config[field] !== undefined && !/^https?:\/\//.test(channel.config[field])) return `config.${field} must be an http(s) URL`;
+  }
+  if (!channel.routes || typeof channel.routes !== 'object' || Array.isArray(channel.routes) || !Object.keys(channel.routes).length) {
+    return 'routes must map categories (or "*") to a minimum severity';
+  }
+  for (const [category, severity] of Object.entries(channel.routes)) {
+    if (category !== '*' && !NOTIFY_CATEGORIES.includes(category)) return `unknown category: ${category}`;
+    if (!NOTIFY_SEVERITIES.includes(severity)) return `routes.${category} must be one of: ${NOTIFY_SEVERITIES.join(', ')}`;
+  }
+  if (typeof channel.enabled !== 'boolean') return 'enabled must be a boolean';
+  return null;
+}
+
+// Webhook URLs carry their own tokens, so they are masked like secrets in responses
+const CHANNEL_SECRET_FIELDS = ['webhook_url', 'url', 'secret'];
+
+function publicChannel(channel) {
+  const config = { ...channel.config };
+  for (const field of CHANNEL_SECRET_FIELDS) {
+    if (config[field] !== undefined) config[field] = '********';
+  }
+  return { ...channel, config };
+}
+
+// A category's own route wins over "*"
+function channelAccepts(channel, category, severity) {
+  const min = channel.routes[category] ?? channel.routes['*'];
+  return !!min && NOTIFY_SEVERITIES.indexOf(severity) >= NOTIFY_SEVERITIES.indexOf(min);
+}
+
+async function getChannels(env) {
+  const entries = await listAllKV(env, 'channel:');
+  return entries.map(e => ({ id: e.name, ...e.value }));
+}
+
+// Send to one channel and record the attempt; never throws
+async function deliverNotification(env, channel, notification) {
+  const start = Date.now();
+  let status = null;
+  let error = null;
+  try {
+    const response = await CHANNEL_TYPES[channel.type].send(env, channel.config, notification);
+    status = response.status;
+    if (!response.ok) error = `HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`;
+  } catch (e) {
+    error = e.message;
+  }
+  const delivery = {
+    channel_id: channel.id,
+    channel_name: channel.name,
+    type: channel.type,
+    category: notification.category,
+    severity: notification.severity,
+    message: notification.message.slice(0, 1000),
+    success: !error,
+    status_code: status,
+    error,
+    response_ms: Date.now() - start,
+  };
+  if (env.DB) {
+    try {
+      await env.DB.prepare(
+        `INSERT INTO notification_deliveries (channel_id, channel_name, type, category, severity, message, success, status_code, error, response_ms, created)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(delivery.channel_id, delivery.channel_name, delivery.type, delivery.category, delivery.severity, delivery.message,
+        delivery.success ? 1 : 0, delivery.status_code, delivery.error, delivery.response_ms, new Date().toISOString()).run();
+    } catch (e) {
+      console.error('Delivery log failed:', e);
+    }
+  }
+  if (error) console.error(`Notification to ${channel.name} failed: ${error}`);
+  return delivery;
+}
+
+// Route a message to every enabled channel accepting its category and severity. With no
+// channels configured at all it goes to the TELEGRAM_CHAT_ID chat. Never fails the caller.
+async function notify(env, category, severity, message) {
+  try {
+    const channels = env.MEMORY ? await getChannels(env) : [];
+    const targets = channels.filter(c => c.enabled && channelAccepts(c, category, severity));
+    if (!channels.length && env.TELEGRAM_CHAT_ID) {
+      targets.push({ id: null, name: 'default', type: 'telegram', config: { chat_id: env.TELEGRAM_CHAT_ID } });
+    }
+    // Leave a trace of alerts that reach nobody, so a too narrow route is noticed
+    if (!targets.length) {
+      console.error(`No notification channel accepts ${category}/${severity}`);
+      await log(env, 'notify', `Not delivered (no channel accepts ${category}/${severity}): ${message.slice(0, 200)}`);
+    }
+    const deliveries = [];
+    for (const channel of targets) {
+      deliveries.push(await deliverNotification(env, channel, { category, severity, message }));
+    }
+    return deliveries;
+  } catch (e) {
+    console.error('Notification failed:', e);
+    return [];
+  }
+}
+
+async function pruneNotificationDeliveries(env) {
+  const cutoff = new Date(Date.now() - NOTIFY_RETENTION_DAYS * 86400000).toISOString();
+  await env.DB.prepare('DELETE FROM notification_deliveries WHERE created < ?').bind(cutoff).run();
+}
+
+// ==================== TELEGRAM BOT ====================
+
+const TELEGRAM_OPEN_STATUSES = ['pending', 'in_progress', 'blocked', 'review'];
+const TELEGRAM_LIST_LIMIT = 10;
+const TELEGRAM_COMMANDS = [
+  { command: 'tasks', usage: '/tasks', description: 'Open tasks' },
+  { command: 'task', usage: '/task add <title>', description: 'Create a task' },
+  { command: 'done', usage: '/done <id>', description: 'Mark a task done' },
+  { command: 'note', usage: '/note <text>', description: 'Save a note' },
+  { command: 'status', usage: '/status', description: 'VPS check and Claude Max usage' },
+  { command: 'usage', usage: '/usage today', description: 'Model usage since midnight UTC' },
+  { command: 'invoices', usage: '/invoices unpaid', description: 'Unpaid invoices' },
+];
+
+// Chats allowed to send commands: TELEGRAM_ALLOWED_CHATS (comma separated), else TELEGRAM_CHAT_ID
+function telegramAllowedChats(env) {
+  return String(env.TELEGRAM_ALLOWED_CHATS || env.TELEGRAM_CHAT_ID || '')
+    .split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function telegramButton(text, data) {
+  return { text, callback_data: data };
+}
+
+// Bare task id as shown in chat (task:1718000000000 -> 1718000000000)
+function shortTaskId(id) {
+  return id.replace(/^task:/, '');
+}
+
+async function telegramTaskList(env) {
+  const result = await env.DB.prepare(
+    `SELECT * FROM tasks WHERE status IN (${TELEGRAM_OPEN_STATUSES.map(() => '?').join(', ')})
+     ORDER BY ${TASK_SORTS.priority}, created LIMIT ?`
+  ).bind(...TELEGRAM_OPEN_STATUSES, TELEGRAM_LIST_LIMIT + 1).all();
+  const tasks = result.results.slice(0, TELEGRAM_LIST_LIMIT).map(rowToTask);
+  if (!tasks.length) return { text: '✅ No open tasks' };
+  const lines = tasks.map(t => `• <code>${shortTaskId(t.id)}</code> ${escapeHtml(t.title)} <i>(${t.status}${t.priority !== 'normal' ? `, ${t.priority}` : ''})</i>`);
+  if (result.results.length > TELEGRAM_LIST_LIMIT) lines.push('…and more');
+  return {
+    text: `📋 <b>Open tasks</b>\n${lines.join('\n')}`,
+    buttons: tasks.map(t => [telegramButton(`✅ ${t.title.slice(0, 40)}`, `done:${shortTaskId(t.id)}`)]),
+  };
+}
+
+// Pending and blocked tasks can't jump straight to done, so step through in_progress
+async function telegramCompleteTask(env, id, actor) {
+  const task = await getTask(env, taskKey(id));
+  if (!task) return { text: `Task <code>${escapeHtml(id)}</code> not found` };
+  if (task.status === 'done') return { text: `Task <b>${escapeHtml(task.title)}</b> is already done` };
+  let current = task;
+  if (TASK_TRANSITIONS[current.status] && !TASK_TRANSITIONS[current.status].includes('done')) {
+    const started = await transitionTask(env, current, 'in_progress', actor, 'telegram /done');
+    if (started.error) return { text: `⚠️ ${escapeHtml(started.error)}` };
+    current = started.task;
+  }
+  const result = await transitionTask(env, current, 'done', actor, 'telegram /done');
+  if (result.error) return { text: `⚠️ ${escapeHtml(result.error)}` };
+  return { text: `✅ Done: <b>${escapeHtml(task.title)}</b>`, buttons: [[telegramButton('📋 Open tasks', 'tasks')]] };
+}
+
+async function telegramStatus(env) {
+  const lines = ['📡 <b>Status</b>'];
+  const monitor = env.DB ? await getMonitor(env, 'vps') : null;
+  if (monitor) {
+    const { body, ...result } = await checkMonitor(monitor);
+    await recordMonitorCheck(env, monitor, result);
+    const icon = { up: '🟢', degraded: '🟡', down: '🔴' }[result.status];
+    lines.push(`${icon} VPS: ${result.status}${result.latency_ms !== null ? ` (${result.latency_ms} ms)` : ''}${result.error ? ` - ${escapeHtml(result.error)}` : ''}`);
+  } else {
+    lines.push('⚪ VPS monitor not configured');
+  }
+  const usage = await getClaudeMaxUsage(env);
+  const percent = (used, limit) => (limit ? Math.round((used / limit) * 100) : 0);
+  lines.push(
+    `🧠 Claude Max window: ${usage.tokensUsed.toLocaleString('en-US')} / ${usage.tokensLimit.toLocaleString('en-US')} tokens (${percent(usage.tokensUsed, usage.tokensLimit)}%), resets in ${usage.timeRemainingHours}h`,
+    `📅 Weekly: ${usage.weeklyTokensUsed.toLocaleString('en-US')} / ${usage.weeklyTokensLimit.toLocaleString('en-US')} tokens (${percent(usage.weeklyTokensUsed, usage.weeklyTokensLimit)}%)${usage.daysUntilWeekReset ? `, resets in ${usage.daysUntilWeekReset}d` : ''}`,
+  );
+  return { text: lines.join('\n'), buttons: [[telegramButton('🔄 Refresh', 'status'), telegramButton('📊 Usage today', 'usage')]] };
+}
+
+// Today in UTC, the same day boundary as the daily model stats
+async function telegramUsageToday(env) {
+  const today = new Date().toISOString().split('T')[0];
+  let rows = [];
+  if (env.DB) {
+    const result = await env.DB.prepare(
+      `SELECT provider, COUNT(*) AS requests, SUM(tokens_in) AS tokens_in, SUM(tokens_out) AS tokens_out, SUM(cost) AS cost
+       FROM analytics WHERE created_at >= ? GROUP BY provider ORDER BY cost DESC`
+    ).bind(`${today} 00:00:00`).all();
+    rows = result.results;
+  } else {
+    const daily = (await getModelStats(env)).daily?.[today];
+    if (daily) rows = [{ provider: 'all', ...daily }];
+  }
+  if (!rows.length) return { text: `📊 No model usage logged today (${today})` };
+  const total = rows.reduce((sum, r) => sum + (r.cost || 0), 0);
+  const lines = rows.map(r => `• <b>${escapeHtml(r.provider)}</b>: ${r.requests} req, ${((r.tokens_in || 0) + (r.tokens_out || 0)).toLocaleString('en-US')} tokens, $${(r.cost || 0).toFixed(2)}`);
+  return { text: `📊 <b>Usage ${today}</b>\n${lines.join('\n')}\nTotal: <b>$${total.toFixed(2)}</b>`, buttons: [[telegramButton('🔄 Refresh', 'usage')]] };
+}
+
+async function telegramUnpaidInvoices(env) {
+  if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return { text: '⚠️ Fakturownia not configured' };
+  const today = zonedDate(Date.now(), INVOICE_TIMEZONE);
+  const { invoices, truncated } = await listFakturowniaInvoices(env, zonedDate(Date.now(), INVOICE_TIMEZONE, -365), today);
+  const unpaid = invoices
+    .filter(i => !INVOICE_REPORT_SKIP_KINDS.includes(i.kind))
+    .map(i => ({ ...i, ...invoiceAmounts(i, today) }))
+    .filter(i => i.unpaid > 0)
+    .sort((a, b) => String(a.payment_to).localeCompare(String(b.payment_to)));
+  if (!unpaid.length) return { text: '✅ No unpaid invoices' };
+  const shown = unpaid.slice(0, TELEGRAM_LIST_LIMIT);
+  const lines = shown.map(i => `• <b>${escapeHtml(i.number || i.id)}</b> ${escapeHtml(i.buyer_name || '')}: ${roundMoney(i.unpaid)} ${escapeHtml(i.currency || 'PLN')} (due ${escapeHtml(i.payment_to || '?')})${i.overdue ? ' ⏰' : ''}`);
+  if (unpaid.length > shown.length) lines.push(`…and ${unpaid.length - shown.length} more`);
+  if (truncated) lines.push(`⚠️ Only the first ${INVOICE_REPORT_MAX_PAGES * 100} invoices of the last year were checked`);
+  return {
+    text: `🧾 <b>${unpaid.length} unpaid invoice(s)</b>\n${lines.join('\n')}`,
+    buttons: shown.map(i => [
+      telegramButton(`💰 Paid ${String(i.number || i.id).slice(0, 30)}`, `paid:${i.id}`),
+      telegramButton('📧 Remind', `remind:${i.id}`),
+    ]),
+  };
+}
+
+async function telegramInvoiceAction(env, action, id, actor) {
+  if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) return { text: '⚠️ Fakturownia not configured' };
+  if (!/^\d+$/.test(id || '')) return { text: 'Invalid invoice id' };
+  const response = action === 'paid'
+    ? await fakturowniaFetch(env, `/invoices/${id}/change_status.json`, { method: 'POST', body: { status: 'paid' } })
+    : await fakturowniaFetch(env, `/invoices/${id}/send_by_email.json`, { method: 'POST', body: {} });
+  if (!response.ok) return { text: `⚠️ Fakturownia returned ${response.status} for invoice ${escapeHtml(id)}` };
+  await log(env, 'invoice', action === 'paid' ? `Invoice ${id} marked paid by ${actor}` : `Reminder sent for invoice ${id} by ${actor}`);
+  return { text: action === 'paid' ? `💰 Invoice ${escapeHtml(id)} marked paid` : `📧 Reminder sent for invoice ${escapeHtml(id)}` };
+}
+
+function telegramHelp() {
+  return { text: `🤖 <b>Arni</b>\n${TELEGRAM_COMMANDS.map(c => `${escapeHtml(c.usage)} - ${c.description}`).join('\n')}` };
+}
+
+// A command message -> { text, buttons? }
+async function runTelegramCommand(env, text, actor) {
+  const [, command = '', args = ''] = text.trim().match(/^\/(\w+)(?:@\w+)?\s*([\s\S]*)$/) || [];
+  const rest = args.trim();
+  switch (command.toLowerCase()) {
+    case 'tasks':
+      return telegramTaskList(env);
+    case 'task': {
+      const title = rest.replace(/^add\b\s*/i, '');
+      if (!/^add\b/i.test(rest) || !title) return { text: 'Usage: /task add &lt;title&gt;' };
+      const error = validateTaskFields({ title }, { partial: false });
+      if (error) return { text: `⚠️ ${escapeHtml(error.error)}` };
+      const { id, task } = await createTask(env, { title }, actor);
+      return {
+        text: `🆕 Task <code>${shortTaskId(id)}</code>: <b>${escapeHtml(task.title)}</b> (${task.status})`,
+        buttons: [[telegramButton('✅ Done', `done:${shortTaskId(id)}`), telegramButton('📋 Open tasks', 'tasks')]],
+      };
+    }
+    case 'done':
+      if (!rest) return { text: 'Usage: /done &lt;id&gt;' };
+      return telegramCompleteTask(env, rest, actor);
+    case 'note': {
+      if (!rest) return { text: 'Usage: /note &lt;text&gt;' };
+      const { id } = await createNote(env, { title: rest.split('\n')[0].slice(0, 80), content: rest, tags: ['telegram'] }, actor);
+      return { text: `📝 Saved note <code>${id.replace('note:', '')}</code>` };
+    }
+    case 'status':
+      return telegramStatus(env);
+    case 'usage':
+      if (rest && rest.toLowerCase() !== 'today') return { text: 'Usage: /usage today' };
+      return telegramUsageToday(env);
+    case 'invoices':
+      if (rest && rest.toLowerCase() !== 'unpaid') return { text: 'Usage: /invoices unpaid' };
+      return telegramUnpaidInvoices(env);
+    default:
+      return telegramHelp();
+  }
+}
+
+// Inline button presses carry "<action>[:<id>]" as callback data
+async function runTelegramCallback(env, data, actor) {
+  const [action, id] = data.split(':');
+  switch (action) {
+    case 'tasks': return telegramTaskList(env);
+    case 'done': return telegramCompleteTask(env, id, actor);
+    case 'status': return telegramStatus(env);
+    case 'usage': return telegramUsageToday(env);
+    case 'paid':
+    case 'remind':
+      return telegramInvoiceAction(env, action, id, actor);
+    default: return { text: 'Unknown action' };
+  }
+}
+
+function telegramReplyMarkup(reply) {
+  return reply.buttons ? { reply_markup: { inline_keyboard: reply.buttons } } : {};
+}
+
+// Handle one Telegram update; chats outside the whitelist are ignored
+async function handleTelegramUpdate(env, update) {
+  const message = update.message || update.callback_query?.message;
+  const chatId = message?.chat?.id;
+  if (chatId === undefined) return;
+  if (!telegramAllowedChats(env).includes(String(chatId))) {
+    await log(env, 'telegram', `Ignored update from chat ${chatId}`);
+    return;
+  }
+  const from = update.message?.from || update.callback_query?.from || {};
+  const actor = `telegram:${from.username || from.id || chatId}`;
+
+  let reply;
+  try {
+    if (update.callback_query) {
+      await telegramApi(env, 'answerCallbackQuery', { callback_query_id: update.callback_query.id });
+      reply = await runTelegramCallback(env, update.callback_query.data || '', actor);
+    } else if (typeof message.text === 'string' && message.text.startsWith('/')) {
+      reply = await runTelegramCommand(env, message.text, actor);
+      await log(env, 'telegram', `${message.text.split(/\s/)[0]} from ${actor}`);
+    } else {
+      return;
+    }
+  } catch (e) {
+    console.error('Telegram command failed:', e);
+    reply = { text: `⚠️ ${escapeHtml(e.message)}` };
+  }
+  // The update is already marked as seen and the command has run, so a lost reply is only logged:
+  // a redelivery would not be handled again
+  try {
+    const res = await sendTelegramMessage(env, chatId, reply.text, { disable_web_page_preview: true, ...telegramReplyMarkup(reply) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  } catch (e) {
+    console.error('Telegram reply failed:', e);
+    await log(env, 'telegram', `Reply to ${actor} failed: ${e.message}`);
+  }
+}
+
+// ==================== JOB QUEUE ====================
+
+const QUEUE_JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+const QUEUE_MAX_ATTEMPTS = 3;
+const QUEUE_MAX_ATTEMPTS_LIMIT = 10; // must stay below max_retries in wrangler.toml
+const QUEUE_JOB_RETENTION_DAYS = 14; // succeeded jobs; failed ones stay in the dead-letter list
+
+function requireString(job, field) {
+  return typeof job[field] === 'string' && job[field] ? null : `${field} is required`;
+}
+
+// Every job type the consumer understands. `validate` returns an error message or null;
+// whatever `run` returns is stored as the job's result.
+const JOB_TYPES = {
+  'notion-sync': {
+    description: 'Two-way sync of tasks/notes with Notion',
+    validate: job => !job.entity || ['tasks', 'notes', 'all'].includes(job.entity) ? null : 'entity must be tasks, notes or all',
+    run: async (env, job) => {
+      await log(env, 'queue', `Notion sync started: ${job.entity || 'all'}`);
+      return runNotionSync(env, job.entity || 'all');
+    },
+  },
+  backup: {
+    description: 'Snapshot KV and D1 to R2, one page per message',
+    max_attempts: 2,
+    validate: job => {
+      if (job.target && job.target !== 'r2') return 'target must be r2';
+      if (job.backup_id !== undefined && !/^[\w-]+$/.test(job.backup_id)) return 'backup_id is invalid';
+      if (job.stage !== undefined && !BACKUP_STAGES.includes(job.stage)) return `stage must be one of: ${BACKUP_STAGES.join(', ')}`;
+      return null;
+    },
+    run: async (env, job) => {
+      if (!job.backup_id) await log(env, 'queue', `Backup started: ${job.target || 'r2'}`);
+      const result = await runBackupStep(env, job);
+      if (!result.manifest) return result;
+      await log(env, 'backup', `Backup ${result.backup_id} written (${result.manifest.kv.keys} keys)`);
+      return { backup_id: result.backup_id, kv_keys: result.manifest.kv.keys };
+    },
+  },
+  restore: {
+    description: 'Restore a backup, one file page per message',
+    max_attempts: 2,
+    validate: job => requireString(job, 'restore_id') ||
+      (['verify', 'apply', 'finish'].includes(job.stage) ? null : 'stage must be verify, apply or finish') ||
+      (Number.isInteger(job.file ?? 0) ? null : 'file must be an integer'),
+    run: (env, job) => runRestoreStep(env, job),
+  },
+  invoice: {
+    description: 'Issue an invoice from a template, or send the overdue digest',
+    validate: job => {
+      if (job.action === 'overdue_digest') return null;
+      if (job.action !== 'create_from_template') return 'action must be create_from_template or overdue_digest';
+      return requireString(job, 'template_id') || requireString(job, 'run_at');
+    },
+    run: async (env, job) => {
+      await log(env, 'queue', `Invoice job: ${job.action}`);
+      if (job.action === 'overdue_digest') return { overdue: await sendOverdueDigest(env) };
+      return issueInvoiceFromTemplate(env, job);
+    },
+  },
+  'task-dispatch': {
+    description: 'Make a routed task claimable by dispatch workers',
+    validate: job => requireString(job, 'task_id') || requireString(job, 'task_type') || requireString(job, 'model'),
+    run: (env, job) => queueTaskDispatch(env, job),
+  },
+  'webhook-delivery': {
+    description: 'Outbound subscription delivery',
+    max_attempts: 1, // retries itself with backoff
+    validate: job => requireString(job, 'subscription_id') || requireString(job, 'delivery_id') ||
+      requireString(job, 'event') || (Number.isInteger(job.attempt) ? null : 'attempt must be an integer'),
+    run: (env, job) => deliverSubscriptionEvent(env, job),
+  },
+  alert: {
+    description: 'Send a notification through the configured channels',
+    validate: job => requireString(job, 'message') ||
+      (job.category === undefined || NOTIFY_CATEGORIES.includes(job.category) ? null : `category must be one of: ${NOTIFY_CATEGORIES.join(', ')}`) ||
+      (job.severity === undefined || NOTIFY_SEVERITIES.includes(job.severity) ? null : `severity must be one of: ${NOTIFY_SEVERITIES.join(', ')}`),
+    run: async (env, job) => {
+      await notify(env, job.category || 'general', job.severity || 'warning', job.message);
+      await log(env, 'queue', `Alert sent: ${job.message.substring(0, 50)}`);
+    },
+  },
+};
+
+// Validate, record and send a job. Returns { id, job } or { error, field }.
+async function enqueueJob(env, type, payload = {}, { maxAttempts, delaySeconds } = {}) {
+  const definition = JOB_TYPES[type];
+  if (!definition) return { error: `type must be one of: ${Object.keys(JOB_TYPES).join(', ')}`, field: 'type' };
+  const { type: _type, job_id: _jobId, ...data } = payload;
+  const error = definition.validate(data);
+  if (error) return { error, field: 'payload' };
+
+  const id = `job_${Date.now()}_${randomHex(4)}`;
+  if (env.DB) {
+    const now = new Date().toISOString();
+    await env.DB.prepare(
+      `INSERT INTO queue_jobs (id, type, payload, status, attempts, max_attempts, enqueued_at, updated)
+       VALUES (?, ?, ?, 'queued', 0, ?, ?, ?)`
+    ).bind(id, type, JSON.stringify(data), maxAttempts || definition.max_attempts || QUEUE_MAX_ATTEMPTS, now, now).run();
+  }
+  const job = { ...data, type, job_id: id };
+  await env.JOBS_QUEUE.send(job, delaySeconds ? { delaySeconds } : undefined);
+  return { id, job };
+}
+
+function formatQueueJob(row) {
+  return {
+    ...row,
+    payload: parseMaybeJson(row.payload),
+    result: row.result === null ? null : parseMaybeJson(row.result),
+  };
+}
+
+async function getQueueJob(env, id) {
+  const row = await env.DB.prepare('SELECT * FROM queue_jobs WHERE id = ?').bind(id).first();
+  return row ? formatQueueJob(row) : null;
+}
+
+async function listQueueJobs(env, { status, type }, limit, offset) {
+  const where = [];
+  const params = [];
+  if (status) { where.push('status = ?'); params.push(status); }
+  if (type) { where.push('type = ?'); params.push(type); }
+  const result = await env.DB.prepare(
+    `SELECT * FROM queue_jobs ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY updated DESC, id DESC LIMIT ? OFFSET ?`
+  ).bind(...params, limit + 1, offset).all();
+  const rows = result.results;
+  return {
+    jobs: rows.slice(0, limit).map(formatQueueJob),
+    next_cursor: rows.length > limit ? encodeCursor({ offset: offset + limit }) : null,
+  };
+}
+
+// 30s, 1m, 2m ... capped at 10 minutes
+function jobRetryDelay(attempt) {
+  return Math.min(30 * 2 ** (attempt - 1), 600);
+}
+
+// Consumer side of one message. Tracked jobs (with a job_id) get their status row updated;
+// after max_attempts the job is marked failed and acked, which leaves it in the dead-letter list.
+async function runQueueMessage(env, job, message) {
+  const definition = JOB_TYPES[job.type];
+  if (!definition) {
+    await log(env, 'queue', `Unknown job type: ${job.type}`);
+    message.ack();
+    return;
+  }
+
+  const tracked = env.DB && job.job_id
+    ? await env.DB.prepare('SELECT status, attempts, max_attempts FROM queue_jobs WHERE id = ?').bind(job.job_id).first()
+    : null;
+  if (tracked?.status === 'succeeded') {
+    message.ack(); // redelivered after it already ran
+    return;
+  }
+  const attempt = (tracked?.attempts || 0) + 1;
+  if (tracked) {
+    const now = new Date().toISOString();
+    await env.DB.prepare(
+      "UPDATE queue_jobs SET status = 'running', attempts = ?, started_at = ?, updated = ? WHERE id = ?"
+    ).bind(attempt, now, now, job.job_id).run();
+  }
+
+  try {
+    const result = await definition.run(env, job);
+    if (tracked) {
+      const now = new Date().toISOString();
+      await env.DB.prepare(
+        "UPDATE queue_jobs SET status = 'succeeded', result = ?, last_error = NULL, finished_at = ?, updated = ? WHERE id = ?"
+      ).bind(result === undefined ? null : JSON.stringify(result), now, now, job.job_id).run();
+    }
+    message.ack();
+  } catch (e) {
+    console.error(`Job failed: ${e.message}`);
+    await log(env, 'queue', `Job failed: ${job.type} - ${e.message}`);
+    if (!tracked) {
+      message.retry();
+      return;
+    }
+    const exhausted = attempt >= tracked.max_attempts;
+    const now = new Date().toISOString();
+    await env.DB.prepare(
+      'UPDATE queue_jobs SET status = ?, last_error = ?, finished_at = ?, updated = ? WHERE id = ?'
+    ).bind(exhausted ? 'failed' : 'queued', String(e.message).slice(0, 1000), exhausted ? now : null, now, job.job_id).run();
+    if (exhausted) {
+      await log(env, 'queue', `Job ${job.job_id} (${job.type}) moved to dead-letter after ${attempt} attempt(s)`);
+      await notify(env, 'queue', 'warning', `💀 Job <b>${escapeHtml(job.type)}</b> failed after ${attempt} attempt(s): ${escapeHtml(e.message)} (${job.job_id})`);
+      message.ack();
+    } else {
+      message.retry({ delaySeconds: jobRetryDelay(attempt) });
+    }
+  }
+}
+
+async function pruneQueueJobs(env) {
+  const cutoff = new Date(Date.now() - QUEUE_JOB_RETENTION_DAYS * 86400000).toISOString();
+  await env.DB.prepare("DELETE FROM queue_jobs WHERE status = 'succeeded' AND updated < ?").bind(cutoff).run();
+}
+
+// ==================== SCHEDULES ====================
+
+const SCHEDULE_TIMEZONE = 'Europe/Warsaw';
+const SCHEDULE_FIELDS = ['id', 'name', 'cron', 'timezone', 'job_type', 'payload', 'enabled', 'next_run', 'last_run', 'last_job_id', 'run_count', 'created', 'updated'];
+
+// Returns { error, field } or null
+function validateSchedule(schedule) {
+  if (typeof schedule.name !== 'string' || !schedule.name.trim()) return { error: 'name is required', field: 'name' };
+  const cron = parseCron(schedule.cron);
+  if (cron.error) return { error: cron.error, field: 'cron' };
+  if (typeof schedule.timezone !== 'string' || !isValidTimezone(schedule.timezone)) {
+    return { error: `unknown timezone: ${schedule.timezone}`, field: 'timezone' };
+  }
+  if (!nextCronRun(schedule.cron, schedule.timezone, Date.now())) {
+    return { error: 'cron expression never matches within the next year', field: 'cron' };
+  }
+  const definition = JOB_TYPES[schedule.job_type];
+  if (!definition) return { error: `job_type must be one of: ${Object.keys(JOB_TYPES).join(', ')}`, field: 'job_type' };
+  if (!schedule.payload || typeof schedule.payload !== 'object' || Array.isArray(schedule.payload)) {
+    return { error: 'payload must be an object', field: 'payload' };
+  }
+  const error = definition.validate(schedule.payload);
+  if (error) return { error, field: 'payload' };
+  if (typeof schedule.enabled !== 'boolean') return { error: 'enabled must be a boolean', field: 'enabled' };
+  return null;
+}
+
+function formatSchedule(row) {
+  return { ...row, payload: parseMaybeJson(row.payload), enabled: !!row.enabled };
+}
+
+async function getSchedule(env, id) {
+  const row = await env.DB.prepare('SELECT * FROM schedules WHERE id = ?').bind(id).first();
+  return row ? formatSchedule(row) : null;
+}
+
+async function saveSchedule(env, schedule) {
+  const values = SCHEDULE_FIELDS.map(f => f === 'payload' ? JSON.stringify(schedule.payload) : f === 'enabled' ? (schedule.enabled ? 1 : 0) : schedule[f]);
+  await env.DB.prepare(
+    `INSERT OR REPLACE INTO schedules (${SCHEDULE_FIELDS.join(', ')}) VALUES (${SCHEDULE_FIELDS.map(() => '?').join(', ')})`
+  ).bind(...values).run();
+}
+
+// Cron side: fire every enabled schedule whose next_run has passed. Runs missed while the
+// cron was down collapse into one. next_run is advanced with a compare-and-set on the old
+// value, so overlapping cron invocations can't fire the same run twice.
+async function runDueSchedules(env, scheduledTime) {
+  const now = scheduledTime || Date.now();
+  const due = await env.DB.prepare(
+    'SELECT * FROM schedules WHERE enabled = 1 AND next_run IS NOT NULL AND next_run <= ? ORDER BY next_run'
+  ).bind(new Date(now).toISOString()).all();
+
+  let fired = 0;
+  for (const row of due.results) {
+    const schedule = formatSchedule(row);
+    const claimed = await env.DB.prepare(
+      'UPDATE schedules SET next_run = ?, last_run = ?, run_count = run_count + 1 WHERE id = ? AND next_run = ?'
+    ).bind(nextCronRun(schedule.cron, schedule.timezone, now), schedule.next_run, schedule.id, schedule.next_run).run();
+    if (!claimed.meta.changes) continue; // another invocation got it
+
+    const queued = await enqueueJob(env, schedule.job_type, schedule.payload);
+    if (queued.error) {
+      await log(env, 'schedule', `Schedule ${schedule.name} skipped: ${queued.error}`);
+      continue;
+    }
+    await env.DB.prepare('UPDATE schedules SET last_job_id = ? WHERE id = ?').bind(queued.id, schedule.id).run();
+    await log(env, 'schedule', `Schedule fired: ${schedule.name} (${schedule.next_run}) -> ${queued.id}`);
+    fired++;
+  }
+  return fired;
+}
+
+// ==================== MONITORS ====================
+
+const MONITOR_METHODS = ['GET', 'HEAD', 'POST'];
+const MONITOR_FIELDS = [
+  'id', 'name', 'url', 'method', 'expected_status', 'expected_body', 'latency_threshold_ms', 'interval_seconds', 'timeout_ms',
+  'failure_threshold', 'reminder_minutes', 'public', 'enabled', 'state', 'last_checked', 'next_check',
+  'consecutive_failures', 'failing_since', 'silenced_until', 'created', 'updated',
+];
+const MONITOR_WINDOWS = { '24h': 1, '7d': 7, '30d': 30 }; // days
+const MONITOR_PERCENTILES = [50, 90, 95, 99];
+const MONITOR_CONCURRENCY = 6; // Workers allow 6 open connections per invocation
+const MONITOR_RETENTION_DAYS = 31;
+const MONITOR_MIN_INTERVAL = 300; // the cron fires every 5 minutes
+const MONITOR_STATUS_CACHE_SECONDS = 60;
+
+// Returns { error, field } or null
+function validateMonitor(monitor) {
+  if (typeof monitor.name !== 'string' || !monitor.name.trim()) return { error: 'name is required', field: 'name' };
+  let parsed;
+  try {
+    parsed = new URL(monitor.url);
+  } catch {
+    return { error: 'url must be a valid URL', field: 'url' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'url must be http or https', field: 'url' };
+  if (!MONITOR_METHODS.includes(monitor.method)) return { error: `method must be one of: ${MONITOR_METHODS.join(', ')}`, field: 'method' };
+  if (monitor.expected_status !== null && !(Number.isInteger(monitor.expected_status) && monitor.expected_status >= 100 && monitor.expected_status <= 599)) {
+    return { error: 'expected_status must be an HTTP status code or null (any 2xx)', field: 'expected_status' };
+  }
+  if (monitor.expected_body !== null && (typeof monitor.expected_body !== 'string' || !monitor.expected_body)) {
+    return { error: 'expected_body must be a non-empty string or null', field: 'expected_body' };
+  }
+  if (monitor.expected_body !== null && monitor.method === 'HEAD') return { error: 'HEAD requests have no body to match', field: 'expected_body' };
+  if (monitor.latency_threshold_ms !== null && !(Number.isInteger(monitor.latency_threshold_ms) && monitor.latency_threshold_ms > 0)) {
+    return { error: 'latency_threshold_ms must be a positive integer or null', field: 'latency_threshold_ms' };
+  }
+  if (!Number.isInteger(monitor.interval_seconds) || monitor.interval_seconds < MONITOR_MIN_INTERVAL || monitor.interval_seconds > 86400) {
+    return { error: `interval_seconds must be an integer between ${MONITOR_MIN_INTERVAL} and 86400`, field: 'interval_seconds' };
+  }
+  if (!Number.isInteger(monitor.timeout_ms) || monitor.timeout_ms < 1000 || monitor.timeout_ms > 30000) {
+    return { error: 'timeout_ms must be an integer between 1000 and 30000', field: 'timeout_ms' };
+  }
+  if (!Number.isInteger(monitor.failure_threshold) || monitor.failure_threshold < 1 || monitor.failure_threshold > 100) {
+    return { error: 'failure_threshold must be an integer between 1 and 100', field: 'failure_threshold' };
+  }
+  if (monitor.reminder_minutes !== null && !(Number.isInteger(monitor.reminder_minutes) && monitor.reminder_minutes >= 5 && monitor.reminder_minutes <= 10080)) {
+    return { error: 'reminder_minutes must be an integer between 5 and 10080, or null for no reminders', field: 'reminder_minutes' };
+  }
+  if (typeof monitor.public !== 'boolean') return { error: 'public must be a boolean', field: 'public' };
+  if (typeof monitor.enabled !== 'boolean') return { error: 'enabled must be a boolean', field: 'enabled' };
+  return null;
+}
+
+function formatMonitor(row) {
+  return { ...row, public: !!row.public, enabled: !!row.enabled };
+}
+
+async function getMonitor(env, id) {
+  const row = await env.DB.prepare('SELECT * FROM monitors WHERE id = ?').bind(id).first();
+  return row ? formatMonitor(row) : null;
+}
+
+async function saveMonitor(env, monitor) {
+  const values = MONITOR_FIELDS.map(f => typeof monitor[f] === 'boolean' ? (monitor[f] ? 1 : 0) : monitor[f] ?? null);
+  await env.DB.prepare(
+    `INSERT OR REPLACE INTO monitors (${MONITOR_FIELDS.join(', ')}) VALUES (${MONITOR_FIELDS.map(() => '?').join(', ')})`
+  ).bind(...values).run();
+}
+
+// One probe. `status` is up, degraded (slower than latency_threshold_ms) or down.
+async function checkMonitor(monitor) {
+  const start = Date.now();
+  try {
+    const response = await fetch(monitor.url, {
+      method: monitor.method,
+      headers: { 'User-Agent': 'Arni-Monitor/1.0' },
+      signal: AbortSignal.timeout(monitor.timeout_ms),
+    });
+    const latency = Date.now() - start;
+    const body = monitor.method === 'HEAD' ? '' : await response.text();
+    const result = { http_status: response.status, latency_ms: latency, error: null, body };
+    const statusOk = monitor.expected_status === null ? response.ok : response.status === monitor.expected_status;
+    if (!statusOk) {
+      return { ...result, status: 'down', error: `HTTP ${response.status}` };
+    }
+    if (monitor.expected_body !== null && !body.includes(monitor.expected_body)) {
+      return { ...result, status: 'down', error: 'expected body text not found' };
+    }
+    if (monitor.latency_threshold_ms !== null && latency > monitor.latency_threshold_ms) {
+      return { ...result, status: 'degraded', error: `latency ${latency}ms over ${monitor.latency_threshold_ms}ms` };
+    }
+    return { ...result, status: 'up' };
+  } catch (e) {
+    return { status: 'down', http_status: null, latency_ms: Date.now() - start, error: e.name === 'TimeoutError' ? `timeout after ${monitor.timeout_ms}ms` : e.message, body: null };
+  }
+}
+
+// Ends a monitor's open incident once it is no longer checked (deleted or disabled), without a recovery message
+function closeOpenIncidents(env, monitorId, endedAt = new Date().toISOString()) {
+  return env.DB.prepare(
+    `UPDATE incidents SET ended_at = ?, duration_seconds = CAST(ROUND((julianday(?) - julianday(started_at)) * 86400) AS INTEGER)
+     WHERE monitor_id = ? AND ended_at IS NULL`
+  ).bind(endedAt, endedAt, monitorId);
+}
+
+// Store a check result, move the monitor to its new state and drive its incident:
+// open one after failure_threshold consecutive failures, remind while it stays open,
+// close it with a single recovery message.
+async function recordMonitorCheck(env, monitor, result, checkedAt = new Date().toISOString()) {
+  const maintenance = await getActiveMaintenance(env, monitor.id, checkedAt);
+  const down = result.status === 'down';
+  // Failures inside a maintenance window don't count toward an incident
+  const failures = down ? (maintenance ? monitor.consecutive_failures : monitor.consecutive_failures + 1) : 0;
+  const failingSince = down ? (monitor.failing_since || (maintenance ? null : checkedAt)) : null;
+
+  await env.DB.batch([
+    env.DB.prepare(
+      'INSERT INTO monitor_checks (monitor_id, checked_at, status, http_status, latency_ms, error, maintenance) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    ).bind(monitor.id, checkedAt, result.status, result.http_status, result.latency_ms, result.error, maintenance ? 1 : 0),
+    env.DB.prepare(
+      'UPDATE monitors SET state = ?, last_checked = ?, consecutive_failures = ?, failing_since = ? WHERE id = ?'
+    ).bind(result.status, checkedAt, failures, failingSince, monitor.id),
+  ]);
+
+  if (monitor.state !== result.status) {
+    await log(env, 'health', `${monitor.name} ${result.status.toUpperCase()}${result.error ? ` - ${result.error}` : ''}${maintenance ? ' (maintenance)' : ''}`);
+    if (monitor.state !== 'unknown') {
+      await emitEvent(env, 'monitor.state_changed', { monitor_id: monitor.id, name: monitor.name, from: monitor.state, to: result.status, timestamp: checkedAt });
+    }
+  }
+
+  const silenced = !!maintenance || (monitor.silenced_until && monitor.silenced_until > checkedAt);
+  const incident = await env.DB.prepare(
+    'SELECT * FROM incidents WHERE monitor_id = ? AND ended_at IS NULL ORDER BY id DESC LIMIT 1'
+  ).bind(monitor.id).first();
+
+  if (down && !incident && failures >= monitor.failure_threshold) {
+    // The partial unique index on open incidents makes a concurrent check's insert a no-op
+    const opened = await env.DB.prepare(
+      `INSERT OR IGNORE INTO incidents (monitor_id, monitor_name, started_at, cause, last_error, failures, alerted_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).bind(monitor.id, monitor.name, failingSince, result.error, result.error, failures, silenced ? null : checkedAt).run();
+    if (opened.meta.changes) {
+      await log(env, 'health', `Incident #${opened.meta.last_row_id} opened: ${monitor.name} - ${result.error}`);
+      if (!silenced) {
+        await notify(env, 'health', 'critical', `🚨 <b>${escapeHtml(monitor.name)}</b> is down: ${escapeHtml(result.error)} (${failures} failed checks, incident #${opened.meta.last_row_id})`);
+      }
+    }
+  } else if (down && incident) {
+    // First alert of an incident opened while silenced, or a reminder while it stays open
+    const firstAlert = !incident.alerted_at;
+    const shouldNotify = !silenced && !incident.acknowledged_at && (firstAlert || (monitor.reminder_minutes &&
+      Date.parse(checkedAt) - Date.parse(incident.last_reminder_at || incident.alerted_at) >= monitor.reminder_minutes * 60000));
+    const reminder = shouldNotify && !firstAlert;
+    await env.DB.prepare(
+      `UPDATE incidents SET last_error = ?, failures = failures + 1,
+         alerted_at = COALESCE(alerted_at, ?), last_reminder_at = ?, reminders = reminders + ? WHERE id = ?`
+    ).bind(result.error, shouldNotify ? checkedAt : null, reminder ? checkedAt : incident.last_reminder_at, reminder ? 1 : 0, incident.id).run();
+    if (shouldNotify) {
+      await notify(env, 'health', reminder ? 'warning' : 'critical', `${reminder ? '⏰ Still down' : '🚨 Down'}: <b>${escapeHtml(monitor.name)}</b> for ${formatDuration((Date.parse(checkedAt) - Date.parse(incident.started_at)) / 1000)} - ${escapeHtml(result.error)} (incident #${incident.id})`);
+    }
+  } else if (!down && incident) {
+    const duration = Math.round((Date.parse(checkedAt) - Date.parse(incident.started_at)) / 1000);
+    await env.DB.prepare(
+      'UPDATE incidents SET ended_at = ?, duration_seconds = ? WHERE id = ?'
+    ).bind(checkedAt, duration, incident.id).run();
+    await log(env, 'health', `Incident #${incident.id} resolved: ${monitor.name} after ${formatDuration(duration)}`);
+    // Only announce recoveries of incidents someone was told about
+    if (incident.alerted_at) {
+      await notify(env, 'health', 'info', `✅ <b>${escapeHtml(monitor.name)}</b> recovered after ${formatDuration(duration)} of downtime (incident #${incident.id})`);
+    }
+  }
+
+  // Subscribers of the original VPS probe still get ok / down / unreachable
+  if (monitor.id === 'vps' && env.MEMORY) {
+    const vpsState = result.status !== 'down' ? 'ok' : result.http_status ? 'down' : 'unreachable';
+    const previousState = await env.MEMORY.get('vps_health_state');
+    if (previousState !== vpsState) {
+      await env.MEMORY.put('vps_health_state', vpsState);
+      if (previousState) {
+        await emitEvent(env, 'vps.health_changed', { from: previousState, to: vpsState, timestamp: checkedAt });
+      }
+    }
+  }
+}
+
+// Window covering the monitor (or all monitors) at a point in time
+async function getActiveMaintenance(env, monitorId, at) {
+  return env.DB.prepare(
+    `SELECT * FROM maintenance_windows WHERE (monitor_id IS NULL OR monitor_id = ?) AND starts_at <= ? AND ends_at > ?
+     ORDER BY ends_at DESC LIMIT 1`
+  ).bind(monitorId, at, at).first();
+}
+
+// 3725 -> "1h 2m"
+function formatDuration(seconds) {
+  const s = Math.max(Math.round(seconds), 0);
+  const parts = [[Math.floor(s / 86400), 'd'], [Math.floor(s / 3600) % 24, 'h'], [Math.floor(s / 60) % 60, 'm']]
+    .filter(([n]) => n > 0).map(([n, unit]) => `${n}${unit}`);
+  return parts.length ? parts.slice(0, 2).join(' ') : `${s}s`;
+}
+
+// Cron side: probe every enabled monitor whose next_check has passed, a few at a time.
+// next_check is claimed with a compare-and-set so overlapping cron runs don't double-probe.
+async function runDueMonitors(env, scheduledTime) {
+  const now = scheduledTime || Date.now();
+  const due = await env.DB.prepare(
+    'SELECT * FROM monitors WHERE enabled = 1 AND (next_check IS NULL OR next_check <= ?) ORDER BY next_check'
+  ).bind(new Date(now).toISOString()).all();
+
+  const claimed = [];
+  for (const row of due.results) {
+    const result = await env.DB.prepare(
+      'UPDATE monitors SET next_check = ? WHERE id = ? AND next_check IS ?'
+    ).bind(new Date(now + row.interval_seconds * 1000).toISOString(), row.id, row.next_check).run();
+    if (result.meta.changes) claimed.push(formatMonitor(row));
+  }
+
+  for (let i = 0; i < claimed.length; i += MONITOR_CONCURRENCY) {
+    const batch = claimed.slice(i, i + MONITOR_CONCURRENCY);
+    const results = await Promise.all(batch.map(checkMonitor));
+    for (const [j, monitor] of batch.entries()) {
+      await recordMonitorCheck(env, monitor, results[j]);
+    }
+  }
+  return claimed.length;
+}
+
+// Uptime % per window; degraded checks count as up, checks during maintenance don't count
+async function monitorUptime(env, id) {
+  const since = days => new Date(Date.now() - days * 86400000).toISOString();
+  const windows = Object.entries(MONITOR_WINDOWS);
+  const columns = windows.map(([name]) =>
+    `SUM(checked_at >= ?) AS "total_${name}", SUM(checked_at >= ? AND status != 'down') AS "up_${name}"`).join(', ');
+  const row = await env.DB.prepare(
+    `SELECT ${columns} FROM monitor_checks WHERE monitor_id = ? AND checked_at >= ? AND maintenance = 0`
+  ).bind(...windows.flatMap(([, days]) => [since(days), since(days)]), id, since(Math.max(...Object.values(MONITOR_WINDOWS)))).first();
+
+  return Object.fromEntries(windows.map(([name]) => {
+    const total = row?.[`total_${name}`] || 0;
+    return [name, {
+      checks: total,
+      uptime: total ? Math.round((row[`up_${name}`] / total) * 100000) / 1000 : null,
+    }];
+  }));
+}
+
+// Latency percentiles (nearest rank) over one window
+async function monitorLatency(env, id, window = '24h') {
+  const since = new Date(Date.now() - MONITOR_WINDOWS[window] * 86400000).toISOString();
+  const where = 'monitor_id = ? AND checked_at >= ? AND latency_ms IS NOT NULL';
+  const summary = await env.DB.prepare(
+    `SELECT COUNT(*) AS count, AVG(latency_ms) AS avg, MIN(latency_ms) AS min, MAX(latency_ms) AS max FROM monitor_checks WHERE ${where}`
+  ).bind(id, since).first();
+  const latency = { window, count: summary.count, avg: summary.count ? Math.round(summary.avg) : null, min: summary.min, max: summary.max };
+  for (const p of MONITOR_PERCENTILES) {
+    latency[`p${p}`] = summary.count ? await env.DB.prepare(
+      `SELECT latency_ms FROM monitor_checks WHERE ${where} ORDER BY latency_ms LIMIT 1 OFFSET ?`
+    ).bind(id, since, Math.max(Math.ceil((p / 100) * summary.count) - 1, 0)).first('latency_ms') : null;
+  }
+  return latency;
+}
+
+function formatIncident(row) {
+  const end = row.ended_at ? Date.parse(row.ended_at) : Date.now();
+  return {
+    ...row,
+    open: !row.ended_at,
+    duration_seconds: row.duration_seconds ?? Math.round((end - Date.parse(row.started_at)) / 1000),
+  };
+}
+
+async function pruneMonitorChecks(env) {
+  const cutoff = new Date(Date.now() - MONITOR_RETENTION_DAYS * 86400000).toISOString();
+  await env.DB.prepare('DELETE FROM monitor_checks WHERE checked_at < ?').bind(cutoff).run();
+  await env.DB.prepare('DELETE FROM maintenance_windows WHERE ends_at < ?').bind(cutoff).run();
+}
+
+// ==================== TASKS ====================
+
+const TASK_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const TASK_FIELDS = ['title', 'description', 'status', 'priority', 'tags', 'due', 'parent_id', 'blocked_by'];
+
+// Lifecycle: allowed next states for each state
+const TASK_TRANSITIONS = {
+  pending: ['in_progress', 'blocked', 'cancelled'],
+  in_progress: ['pending', 'blocked', 'review', 'done', 'cancelled'],
+  blocked: ['pending', 'in_progress', 'cancelled'],
+  review: ['in_progress', 'done', 'cancelled'],
+  done: ['in_progress'], // reopen
+  cancelled: ['pending'], // revive
+};
+const TASK_STATUSES = Object.keys(TASK_TRANSITIONS);
+const TASK_ACTIVE_STATUSES = ['in_progress', 'review', 'done']; // need every dependency resolved
+const TASK_RESOLVED_STATUSES = ['done', 'cancelled']; // no longer hold up their dependents
+const TASK_SORTS = {
+  created: 'created',
+  updated: 'updated',
+  due: 'due IS NULL, due', // undated tasks last
+  title: 'title COLLATE NOCASE',
+  priority: "CASE priority WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'normal' THEN 2 ELSE 3 END",
+};
+
+// Returns { error, field } for the first invalid field, otherwise null
+function validateTaskFields(fields, { partial }) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return { error: 'Body must be a JSON object', field: null };
+  const unknown = Object.keys(fields).find(f => !TASK_FIELDS.includes(f));
+  if (unknown) return { error: `${unknown} is not a task field`, field: unknown };
+
+  if (!partial || fields.title !== undefined) {
+    if (typeof fields.title !== 'string' || !fields.title.trim()) return { error: 'title must be a non-empty string', field: 'title' };
+    if (fields.title.length > 200) return { error: 'title must be at most 200 characters', field: 'title' };
+  }
+  if (fields.description !== undefined && typeof fields.description !== 'string') {
+    return { error: 'description must be a string', field: 'description' };
+  }
+  if (fields.status !== undefined) {
+    if (!partial) return { error: 'status is set by the lifecycle; new tasks start pending', field: 'status' };
+    if (!TASK_STATUSES.includes(fields.status)) return { error: `status must be one of: ${TASK_STATUSES.join(', ')}`, field: 'status' };
+  }
+  if (fields.parent_id !== undefined && fields.parent_id !== null && typeof fields.parent_id !== 'string') {
+    return { error: 'parent_id must be a task id or null', field: 'parent_id' };
+  }
+  if (fields.blocked_by !== undefined) {
+    if (partial) return { error: 'blocked_by can only be set on create; use /tasks/:id/dependencies', field: 'blocked_by' };
+    if (!Array.isArray(fields.blocked_by) || fields.blocked_by.some(d => typeof d !== 'string')) {
+      return { error: 'blocked_by must be an array of task ids', field: 'blocked_by' };
+    }
+  }
+  if (fields.priority !== undefined && !TASK_PRIORITIES.includes(fields.priority)) {
+    return { error: `priority must be one of: ${TASK_PRIORITIES.join(', ')}`, field: 'priority' };
+  }
+  if (fields.tags !== undefined) {
+    if (!Array.isArray(fields.tags) || fields.tags.some(t => typeof t !== 'string' || !t || t.length > 50)) {
+      return { error: 'tags must be an array of strings (max 50 characters each)', field: 'tags' };
+    }
+    if (fields.tags.length > 20) return { error: 'tags may hold at most 20 entries', field: 'tags' };
+  }
+  if (fields.due !== undefined && fields.due !== null && (typeof fields.due !== 'string' || isNaN(Date.parse(fields.due)))) {
+    return { error: 'due must be an ISO date or null', field: 'due' };
+  }
+  return null;
+}
+
+function normalizeTaskFields(fields) {
+  const normalized = {};
+  for (const field of TASK_FIELDS) {
+    if (fields[field] !== undefined && field !== 'status' && field !== 'blocked_by') normalized[field] = fields[field];
+  }
+  if (normalized.title) normalized.title = normalized.title.trim();
+  if (normalized.due) normalized.due = new Date(normalized.due).toISOString();
+  if (normalized.parent_id) normalized.parent_id = taskKey(normalized.parent_id);
+  return normalized;
+}
+
+// Accepts "task:<id>" or the bare id used in /tasks/:id paths
+function taskKey(id) {
+  return id.startsWith('task:') ? id : `task:${id}`;
+}
+
+// Task id from a URL path segment, decoded the same way getRequiredScope matches it
+function taskKeyFromPath(segment) {
+  let id = segment;
+  try { id = decodeURIComponent(segment); } catch {}
+  return taskKey(id);
+}
+
+function rowToTask(row) {
+  return { ...row, tags: JSON.parse(row.tags || '[]') };
+}
+
+async function getTask(env, id) {
+  const row = await env.DB.prepare('SELECT * FROM tasks WHERE id = ?').bind(id).first();
+  return row ? rowToTask(row) : null;
+}
+
+// Turn list query params into a WHERE clause; { error, field } on bad input
+function buildTaskQuery(params) {
+  const clauses = [];
+  const values = [];
+
+  const status = params.get('status');
+  if (status) {
+    const statuses = status.split(',');
+    const bad = statuses.find(st => !TASK_STATUSES.includes(st));
+    if (bad) return { error: `status must be one of: ${TASK_STATUSES.join(', ')}`, field: 'status' };
+    clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    values.push(...statuses);
+  }
+  const parent = params.get('parent_id');
+  if (parent) {
+    clauses.push('parent_id = ?');
+    values.push(taskKey(parent));
+  }
+  const priority = params.get('priority');
+  if (priority) {
+    const priorities = priority.split(',');
+    const bad = priorities.find(p => !TASK_PRIORITIES.includes(p));
+    if (bad) return { error: `priority must be one of: ${TASK_PRIORITIES.join(', ')}`, field: 'priority' };
+    clauses.push(`priority IN (${priorities.map(() => '?').join(', ')})`);
+    values.push(...priorities);
+  }
+  const tag = params.get('tag');
+  if (tag) {
+    clauses.push('EXISTS (SELECT 1 FROM json_each(tasks.tags) WHERE json_each.value = ?)');
+    values.push(tag);
+  }
+  const dueBefore = params.get('due_before');
+  if (dueBefore) {
+    if (isNaN(Date.parse(dueBefore))) return { error: 'due_before must be an ISO date', field: 'due_before' };
+    clauses.push('due IS NOT NULL AND due < ?');
+    values.push(new Date(dueBefore).toISOString());
+  }
+
+  const sort = params.get('sort') || '-created';
+  const column = TASK_SORTS[sort.replace(/^-/, '')];
+  if (!column) return { error: `sort must be one of: ${Object.keys(TASK_SORTS).join(', ')} (prefix - for descending)`, field: 'sort' };
+  const direction = sort.startsWith('-') ? 'DESC' : 'ASC';
+
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    orderBy: `${column} ${direction}, id ${direction}`,
+    params: values,
+  };
+}
+
+async function insertTask(env, id, task) {
+  return env.DB.prepare(
+    'INSERT OR IGNORE INTO tasks (id, title, description, status, priority, tags, due, parent_id, webhook, created, updated) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  ).bind(id, task.title, task.description, task.status, task.priority, JSON.stringify(task.tags), task.due, task.parent_id, task.webhook, task.created, task.updated).run();
+}
+
+// Checks parent_id and blocked_by point at real tasks without forming cycles.
+// Returns { error, field } or null.
+async function validateTaskLinks(env, id, fields) {
+  if (fields.parent_id) {
+    const parentId = taskKey(fields.parent_id);
+    if (parentId === id) return { error: 'a task cannot be its own parent', field: 'parent_id' };
+    if (!(await getTask(env, parentId))) return { error: `parent task ${parentId} not found`, field: 'parent_id' };
+    // Walk up from the new parent; meeting this task again would close a loop
+    let ancestor = id && parentId;
+    for (let depth = 0; ancestor && depth < 100; depth++) {
+      const row = await env.DB.prepare('SELECT parent_id FROM tasks WHERE id = ?').bind(ancestor).first();
+      ancestor = row?.parent_id;
+      if (ancestor === id) return { error: 'parent_id would create a cycle', field: 'parent_id' };
+    }
+  }
+  for (const dep of fields.blocked_by || []) {
+    if (!(await getTask(env, taskKey(dep)))) return { error: `dependency ${taskKey(dep)} not found`, field: 'blocked_by' };
+  }
+  return null;
+}
+
+async function createTask(env, fields, actor = 'system') {
+  const now = new Date().toISOString();
+  const normalized = normalizeTaskFields(fields);
+  const blockedBy = [...new Set((fields.blocked_by || []).map(taskKey))];
+  const task = {
+    title: normalized.title,
+    description: normalized.description || '',
+    status: 'pending',
+    priority: normalized.priority || 'normal',
+    tags: normalized.tags || [],
+    due: normalized.due || null,
+    parent_id: normalized.parent_id || null,
+    webhook: fields.webhook || null,
+    created: now,
+    updated: now,
+  };
+
+  if (blockedBy.length) {
+    const unresolved = await env.DB.prepare(
+      `SELECT COUNT(*) AS n FROM tasks WHERE id IN (${blockedBy.map(() => '?').join(', ')}) AND status NOT IN ('done', 'cancelled')`
+    ).bind(...blockedBy).first('n');
+    if (unresolved) task.status = 'blocked';
+  }
+
+  // task:<ms> ids can collide when several tasks are created in the same millisecond
+  let ts = Date.now();
+  let id = `task:${ts}`;
+  while ((await insertTask(env, id, task)).meta.changes === 0) {
+    id = `task:${++ts}`;
+  }
+
+  await env.DB.batch([
+    ...blockedBy.map(dep => env.DB.prepare(
+      'INSERT OR IGNORE INTO task_dependencies (task_id, depends_on, created) VALUES (?, ?, ?)'
+    ).bind(id, dep, now)),
+    recordTransition(env, id, null, task.status, actor, 'created'),
+  ]);
+
+  await indexEntity(env, 'task', id, taskDocument(task));
+  await log(env, 'task', `Created: ${task.title}`);
+  await emitEvent(env, 'task.created', { id, task });
+  if (task.status === 'pending') await dispatchTask(env, { id, ...task });
+  return { id, task: { id, ...task, blocked_by: blockedBy } };
+}
+
+function recordTransition(env, taskId, from, to, actor, note) {
+  return env.DB.prepare(
+    'INSERT INTO task_transitions (task_id, from_status, to_status, actor, note, created) VALUES (?, ?, ?, ?, ?, ?)'
+  ).bind(taskId, from, to, actor, note || null, new Date().toISOString());
+}
+
+async function getUnresolvedDependencies(env, id) {
+  const result = await env.DB.prepare(
+    "SELECT t.id, t.title, t.status FROM task_dependencies d JOIN tasks t ON t.id = d.depends_on WHERE d.task_id = ? AND t.status NOT IN ('done', 'cancelled')"
+  ).bind(id).all();
+  return result.results;
+}
+
+// Move a task through the lifecycle. Returns { task } or { error, status, allowed }.
+async function transitionTask(env, task, to, actor, note) {
+  if (task.status === to) return { task };
+  const allowed = TASK_TRANSITIONS[task.status]; // legacy statuses may move anywhere
+  if (allowed && !allowed.includes(to)) {
+    return { error: `Cannot move task from ${task.status} to ${to}`, status: 409, allowed };
+  }
+  if (TASK_ACTIVE_STATUSES.includes(to)) {
+    const unresolved = await getUnresolvedDependencies(env, task.id);
+    if (unresolved.length) {
+      return { error: `Task is blocked by ${unresolved.map(t => t.id).join(', ')}`, status: 409, blocked_by: unresolved };
+    }
+  }
+
+  const updated = { ...task, status: to, updated: new Date().toISOString() };
+  await env.DB.batch([
+    env.DB.prepare('UPDATE tasks SET status = ?, updated = ? WHERE id = ?').bind(to, updated.updated, task.id),
+    recordTransition(env, task.id, task.status, to, actor, note),
+  ]);
+  await log(env, 'task', `${updated.title}: ${task.status} -> ${to} (${actor})`);
+  await emitEvent(env, 'task.status_changed', { id: task.id, from: task.status, to, actor, task: updated });
+
+  if (to === 'done' || to === 'cancelled') await closeDispatch(env, task.id, to === 'done' ? 'completed' : 'cancelled');
+  if (TASK_RESOLVED_STATUSES.includes(to)) await unblockDependents(env, task.id);
+  if (task.status === 'blocked' && to === 'pending') await dispatchTask(env, updated);
+  return { task: updated };
+}
+
+// Shortest chain of allowed transitions from one status to another, excluding `from`
+function taskTransitionPath(from, to) {
+  const previous = { [from]: null };
+  const queue = [from];
+  while (queue.length) {
+    const status = queue.shift();
+    if (status === to) break;
+    for (const next of TASK_TRANSITIONS[status] || TASK_STATUSES) {
+      if (!(next in previous)) {
+        previous[next] = status;
+        queue.push(next);
+      }
+    }
+  }
+  if (!(to in previous)) return null;
+  const path = [];
+  for (let status = to; status !== from; status = previous[status]) path.unshift(status);
+  return path;
+}
+
+// Move a task to a status that may not be one step away (pending -> done goes through
+// in_progress), recording each step. Stops at the first refused step.
+async function stepTaskTo(env, task, to, actor, note) {
+  const path = taskTransitionPath(task.status, to);
+  if (!path) return { error: `Cannot move task from ${task.status} to ${to}`, status: 409, allowed: TASK_TRANSITIONS[task.status] };
+  let current = task;
+  for (const status of path) {
+    const result = await transitionTask(env, current, status, actor, note);
+    if (result.error) return result;
+    current = result.task;
+  }
+  return { task: current };
+}
+
+// Blocked tasks waiting on this one go back to pending once all their dependencies are done or cancelled
+async function unblockDependents(env, id) {
+  const dependents = await env.DB.prepare(
+    "SELECT t.* FROM task_dependencies d JOIN tasks t ON t.id = d.task_id WHERE d.depends_on = ? AND t.status = 'blocked'"
+  ).bind(id).all();
+  for (const row of dependents.results) {
+    if (!(await getUnresolvedDependencies(env, row.id)).length) {
+      await transitionTask(env, rowToTask(row), 'pending', 'system', `dependencies resolved (${id})`);
+    }
+  }
+}
+
+// True when `from` already (transitively) depends on `target`
+async function dependsOn(env, from, target) {
+  const seen = new Set();
+  const stack = [from];
+  while (stack.length) {
+    const current = stack.pop();
+    if (current === target) return true;
+    if (seen.has(current)) continue;
+    seen.add(current);
+    const result = await env.DB.prepare('SELECT depends_on FROM task_dependencies WHERE task_id = ?').bind(current).all();
+    stack.push(...result.results.map(r => r.depends_on));
+  }
+  return false;
+}
+
+// Copy task:* KV records into D1 and drop them from KV; safe to re-run
+async function migrateKvTasks(env) {
+  const entries = await listAllKV(env, 'task:');
+  let migrated = 0;
+  for (const { name, value } of entries) {
+    const now = new Date().toISOString();
+    const task = {
+      title: String(value.title || 'Untitled'),
+      description: String(value.description || ''),
+      status: TASK_STATUSES.includes(value.status) ? value.status : (value.status === 'completed' ? 'done' : 'pending'),
+      priority: TASK_PRIORITIES.includes(value.priority) ? value.priority : 'normal',
+      tags: Array.isArray(value.tags) ? value.tags : [],
+      due: value.due && !isNaN(Date.parse(value.due)) ? new Date(value.due).toISOString() : null,
+      parent_id: null,
+      webhook: value.webhook || null,
+      created: value.created || now,
+      updated: value.updated || now,
+    };
+    await insertTask(env, name, task);
+    await indexEntity(env, 'task', name, taskDocument(task));
+    await env.MEMORY.delete(name);
+    migrated++;
+  }
+  await env.MEMORY.put('migration:tasks_d1', new Date().toISOString());
+  if (migrated) await log(env, 'task', `Migrated ${migrated} tasks from KV to D1`);
+  return { migrated };
+}
+
+// ==================== TASK DISPATCH ====================
+
+// Opt-in (DISPATCH_MODE = "on"): new and unblocked tasks are classified, routed to a model and
+// queued in task_dispatch, where workers claim them under a lease and report back.
+const DISPATCH_STATES = ['queued', 'claimed', 'completed', 'failed', 'cancelled'];
+const DISPATCH_LEASE_SECONDS = 300;
+const DISPATCH_MAX_ATTEMPTS = 3;
+
+// First match wins; only types that have a routing rule are used
+const TASK_TYPE_KEYWORDS = [
+  ['security', /\b(security|audit|vulnerab|cve|xss|csrf)/i],
+  ['testing', /\b(tests?|testing|coverage|e2e)\b/i],
+  ['refactoring', /\b(refactor|clean ?up|rename|simplify)/i],
+  ['review', /\b(review|pull request|pr)\b/i],
+  ['research', /\b(research|investigate|compare|explore|evaluate)/i],
+  ['planning', /\b(plan|design|architect|roadmap|spec)/i],
+  ['coding', /\b(implement|build|add|fix|bug|feature|endpoint|integrate)/i],
+];
+
+function isDispatchEnabled(env) {
+  return env.DISPATCH_MODE === 'on' || env.DISPATCH_MODE === 'true';
+}
+
+// A tag naming a routing rule wins, then keywords in the title/description, then the default type
+function classifyTask(task, routing) {
+  const known = new Set(routing.rules.map(r => r.task_type));
+  const tagged = (task.tags || []).find(tag => known.has(tag));
+  if (tagged) return tagged;
+  const text = `${task.title} ${task.description || ''}`;
+  const match = TASK_TYPE_KEYWORDS.find(([type, pattern]) => known.has(type) && pattern.test(text));
+  return match ? match[0] : (routing.default_task_type || 'general');
+}
+
+async function dispatchTask(env, task) {
+  if (!isDispatchEnabled(env) || !env.JOBS_QUEUE) return null;
+  const routing = await getRoutingConfig(env);
+  const route = routeTask(routing, classifyTask(task, routing), await getClaudeMaxUsage(env));
+  const job = {
+    type: 'task-dispatch',
+    task_id: task.id,
+    task_type: route.task_type,
+    model: route.model,
+    provider: route.provider,
+    tier: route.tier,
+  };
+  await enqueueJob(env, 'task-dispatch', job);
+  await log(env, 'dispatch', `Enqueued ${task.id} as ${route.task_type} -> ${route.model}`);
+  return job;
+}
+
+// Queue consumer side: make the task claimable. Tasks already claimed keep their lease.
+async function queueTaskDispatch(env, job) {
+  const task = await getTask(env, job.task_id);
+  if (!task || task.status !== 'pending') {
+    await log(env, 'dispatch', `Skipped ${job.task_id}: task is ${task ? task.status : 'gone'}`);
+    return;
+  }
+  const now = new Date().toISOString();
+  await env.DB.prepare(
+    `INSERT INTO task_dispatch (task_id, task_type, model, provider, tier, state, attempts, enqueued_at, updated)
+     VALUES (?, ?, ?, ?, ?, 'queued', 0, ?, ?)
+     ON CONFLICT (task_id) DO UPDATE SET task_type = excluded.task_type, model = excluded.model, provider = excluded.provider,
+       tier = excluded.tier, state = 'queued', worker = NULL, lease_expires = NULL, attempts = 0, error = NULL,
+       enqueued_at = excluded.enqueued_at, updated = excluded.updated
+     WHERE task_dispatch.state != 'claimed'`
+  ).bind(job.task_id, job.task_type, job.model, job.provider, job.tier, now, now).run();
+}
+
+// Hand the highest-priority queued (or lease-expired) task to a worker
+async function claimDispatch(env, worker, { tiers, models, leaseSeconds }) {
+  const filters = [];
+  const values = [];
+  if (tiers?.length) {
+    filters.push(`d.tier IN (${tiers.map(() => '?').join(', ')})`);
+    values.push(...tiers);
+  }
+  if (models?.length) {
+    filters.push(`d.model IN (${models.map(() => '?').join(', ')})`);
+    values.push(...models);
+  }
+
+  // A claimed row may be grabbed by someone else in between; retry a few times
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const now = Date.now();
+    const candidate = await env.DB.prepare(
+      `SELECT d.task_id FROM task_dispatch d JOIN tasks t ON t.id = d.task_id
+       WHERE (d.state = 'queued' OR (d.state = 'claimed' AND d.lease_expires < ?))${filters.map(f => ` AND ${f}`).join('')}
+       ORDER BY ${TASK_SORTS.priority.replace('priority', 't.priority')}, d.enqueued_at LIMIT 1`
+    ).bind(now, ...values).first();
+    if (!candidate) return null;
+
+    const claimed = await env.DB.prepare(
+      `UPDATE task_dispatch SET state = 'claimed', worker = ?, lease_expires = ?, attempts = attempts + 1, claimed_at = ?, updated = ?
+       WHERE task_id = ? AND (state = 'queued' OR (state = 'claimed' AND lease_expires < ?)) RETURNING *`
+    ).bind(worker, now + leaseSeconds * 1000, new Date(now).toISOString(), new Date(now).toISOString(), candidate.task_id, now).first();
+    if (!claimed) continue;
+
+    const task = await getTask(env, claimed.task_id);
+    const result = task && await transitionTask(env, task, 'in_progress', worker, 'claimed by dispatch worker');
+    if (!result || result.error) {
+      // The task moved on (cancelled, blocked again...) since it was queued
+      await closeDispatch(env, claimed.task_id, 'cancelled');
+      continue;
+    }
+    return { dispatch: claimed, task: result.task };
+  }
+  return null;
+}
+
+// Current lease holder check. Returns the dispatch row or null.
+async function getHeldLease(env, taskId, worker) {
+  return env.DB.prepare(
+    "SELECT * FROM task_dispatch WHERE task_id = ? AND worker = ? AND state = 'claimed' AND lease_expires >= ?"
+  ).bind(taskId, worker, Date.now()).first();
+}
+
+function closeDispatch(env, taskId, state) {
+  return env.DB.prepare(
+    "UPDATE task_dispatch SET state = ?, lease_expires = NULL, completed_at = ?, updated = ? WHERE task_id = ? AND state IN ('queued', 'claimed')"
+  ).bind(state, new Date().toISOString(), new Date().toISOString(), taskId).run();
+}
+
+// Cron: tasks whose worker stopped heartbeating go back to pending and the dispatch queue
+async function requeueExpiredLeases(env) {
+  const expired = await env.DB.prepare(
+    "SELECT * FROM task_dispatch WHERE state = 'claimed' AND lease_expires < ?"
+  ).bind(Date.now()).all();
+  for (const row of expired.results) {
+    const requeue = row.attempts < DISPATCH_MAX_ATTEMPTS;
+    await env.DB.prepare(
+      'UPDATE task_dispatch SET state = ?, worker = NULL, lease_expires = NULL, error = ?, updated = ? WHERE task_id = ? AND state = \'claimed\' AND lease_expires < ?'
+    ).bind(requeue ? 'queued' : 'failed', `lease expired (${row.worker})`, new Date().toISOString(), row.task_id, Date.now()).run();
+    const task = await getTask(env, row.task_id);
+    if (task?.status === 'in_progress') {
+      await transitionTask(env, task, 'pending', 'system', `lease expired (${row.worker})`);
+    }
+    await log(env, 'dispatch', `Lease expired for ${row.task_id} (${row.worker})${requeue ? ', requeued' : ', giving up'}`);
+  }
+  return expired.results.length;
+}
+
+// ==================== SEARCH ====================
+
+// Full-text index over notes, tasks and webhook payloads (D1 FTS5). Writers keep it current;
+// POST /api/search/reindex rebuilds it from the source records.
+const SEARCH_TYPES = ['note', 'task', 'webhook'];
+const SEARCH_TYPE_SCOPES = { note: 'notes:read', task: 'tasks:read', webhook: 'webhooks:read' };
+// Control characters stand in for <mark> until the indexed text has been escaped
+const SEARCH_MARKS = ['\u0002', '\u0003'];
+
+function searchHighlightHtml(text) {
+  if (text === null || text === undefined) return text;
+  return escapeHtml(text).replaceAll(SEARCH_MARKS[0], '<mark>').replaceAll(SEARCH_MARKS[1], '</mark>');
+}
+const SEARCH_BODY_LIMIT = 20000; // characters of webhook payload text to index
+
+function noteDocument(note) {
+  return { title: note.title, body: note.content, tags: note.tags, created: note.created };
+}
+
+function taskDocument(task) {
+  return { title: task.title, body: task.description, tags: task.tags, created: task.created };
+}
+
+function webhookDocument(delivery) {
+  return { title: `${delivery.source} webhook`, body: payloadText(delivery.data), tags: [delivery.source], created: delivery.timestamp };
+}
+
+// Every string and number in a payload, space separated
+function payloadText(value) {
+  const parts = [];
+  const walk = v => {
+    if (parts.length > 5000) return;
+    if (typeof v === 'string' || typeof v === 'number') parts.push(String(v));
+    else if (Array.isArray(v)) v.forEach(walk);
+    else if (v && typeof v === 'object') Object.values(v).forEach(walk);
+  };
+  walk(value);
+  return parts.join(' ').slice(0, SEARCH_BODY_LIMIT);
+}
+
+// Index failures are logged, not raised: the record itself was already written
+async function indexEntity(env, type, id, doc) {
+  if (!env.DB) return;
+  const tags = Array.isArray(doc.tags) ? doc.tags.map(String) : [];
+  try {
+    await env.DB.batch([
+      env.DB.prepare('DELETE FROM search_index WHERE entity_type = ? AND entity_id = ?').bind(type, id),
+      env.DB.prepare(
+        'INSERT INTO search_index (entity_type, entity_id, title, body, tags, tag_list, created) VALUES (?, ?, ?, ?, ?, ?, ?)'
+      ).bind(type, id, String(doc.title || ''), String(doc.body || ''), tags.join(' '), `|${tags.join('|')}|`, doc.created || new Date().toISOString()),
+    ]);
+  } catch (e) {
+    console.error(`Search index update failed for ${id}:`, e);
+  }
+}
+
+async function removeFromIndex(env, type, id) {
+  if (!env.DB) return;
+  try {
+    await env.DB.prepare('DELETE FROM search_index WHERE entity_type = ? AND entity_id = ?').bind(type, id).run();
+  } catch (e) {
+    console.error(`Search index delete failed for ${id}:`, e);
+  }
+}
+
+// Free text to an FTS5 expression: every word must match, the last one as a prefix.
+// Quoting each term keeps user input from being parsed as FTS syntax.
+function buildSearchMatch(q) {
+  const terms = (q || '').match(/[\p{L}\p{N}_]+/gu);
+  if (!terms) return null;
+  return terms.map((term, i) => `"${term}"${i === terms.length - 1 ? '*' : ''}`).join(' ');
+}
+
+// Rebuild the whole index from KV notes and webhooks and D1 tasks
+async function reindexSearch(env) {
+  const counts = { note: 0, task: 0, webhook: 0 };
+  await env.DB.prepare('DELETE FROM search_index').run();
+  for (const { name, value } of await listAllKV(env, 'note:')) {
+    if (!value || typeof value !== 'object') continue;
+    await indexEntity(env, 'note', name, noteDocument(value));
+    counts.note++;
+  }
+  const tasks = await env.DB.prepare('SELECT * FROM tasks').all();
+  for (const row of tasks.results) {
+    await indexEntity(env, 'task', row.id, taskDocument(rowToTask(row)));
+    counts.task++;
+  }
+  for (const { name, value } of await listAllKV(env, 'webhook:')) {
+    if (!value || typeof value !== 'object') continue;
+    await indexEntity(env, 'webhook', name, webhookDocument(value));
+    counts.webhook++;
+  }
+  return counts;
+}
+
+// Shared by POST /notes and the bot's /note command
+async function createNote(env, fields, actor) {
+  const now = new Date().toISOString();
+  // note:<ms> ids can collide when several notes are created in the same millisecond
+  let ts = Date.now();
+  while (await env.MEMORY.get(`note:${ts}`)) ts++;
+  const id = `note:${ts}`;
+  const note = {
+    title: fields.title || 'Untitled',
+    content: fields.content,
+    tags: fields.tags || [],
+    revision: 1,
+    created: now,
+    updated: now,
+  };
+  await env.MEMORY.put(id, JSON.stringify(note));
+  await indexEntity(env, 'note', id, noteDocument(note));
+  await log(env, 'note', `Created: ${note.title}${actor ? ` (${actor})` : ''}`);
+  await emitEvent(env, 'note.created', { id, note });
+  return { id, note };
+}
+
+// ==================== NOTE REVISIONS ====================
+
+// Every PUT archives the previous state under note_revision:<id>:<revision>; the note
+// itself carries its current revision number.
+function noteRevisionPrefix(id) {
+  return `note_revision:${id.replace('note:', '')}:`;
+}
+
+async function getNoteRevisions(env, id) {
+  const entries = await listAllKV(env, noteRevisionPrefix(id));
+  return entries.map(e => e.value); // oldest first (revisions are zero-padded)
+}
+
+async function getNoteRevision(env, id, note, revision) {
+  if (!Number.isInteger(revision)) return null;
+  if (revision === (note.revision || 1)) return { ...note, revision };
+  return env.MEMORY.get(noteRevisionPrefix(id) + String(revision).padStart(10, '0'), 'json');
+}
+
+async function saveNoteRevision(env, id, note, updates) {
+  const prefix = noteRevisionPrefix(id);
+  const revision = note.revision || 1; // notes created before revisions start at 1
+  await env.MEMORY.put(prefix + String(revision).padStart(10, '0'), JSON.stringify({
+    revision,
+    title: note.title,
+    content: note.content,
+    tags: note.tags,
+    updated: note.updated,
+  }));
+
+  const keep = parseInt(env.NOTE_REVISION_LIMIT) || 50;
+  const list = await env.MEMORY.list({ prefix });
+  const excess = list.keys.slice(0, Math.max(0, list.keys.length - keep));
+  await Promise.all(excess.map(k => env.MEMORY.delete(k.name)));
+
+  const updated = { ...note, ...updates, revision: revision + 1, created: note.created, updated: new Date().toISOString() };
+  await env.MEMORY.put(id, JSON.stringify(updated));
+  await indexEntity(env, 'note', id, noteDocument(updated));
+  return updated;
+}
+
+function diffNotes(a, b) {
+  const changes = diffLines(String(a.content || ''), String(b.content || ''));
+  return {
+    title: a.title === b.title ? undefined : { from: a.title, to: b.title },
+    tags: JSON.stringify(a.tags || []) === JSON.stringify(b.tags || []) ? undefined : { from: a.tags || [], to: b.tags || [] },
+    added: changes.filter(c => c.op === '+').length,
+    removed: changes.filter(c => c.op === '-').length,
+    changes,
+    unified: changes.map(c => `${c.op} ${c.line}`).join('\n'),
+  };
+}
+
+// LCS line diff: [{ op: ' ' | '+' | '-', line }]
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // Trim the common head and tail so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  const middle = [];
+  if (midA.length * midB.length > 4000000) {
+    // Too big for the table: show it as a full replacement
+    middle.push(...midA.map(line => ({ op: '-', line })), ...midB.map(line => ({ op: '+', line })));
+  } else {
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        middle.push({ op: ' ', line: midA[i] }); i++; j++;
+      } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        middle.push({ op: '-', line: midA[i++] });
+      } else {
+        middle.push({ op: '+', line: midB[j++] });
+      }
+    }
+  }
+  return [
+    ...a.slice(0, start).map(line => ({ op: ' ', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ op: ' ', line })),
+  ];
+}
+
+// ==================== MARKDOWN ====================
+
+// Only these link targets survive; anything else (javascript:, data:...) renders as text
+function safeUrl(url) {
+  return /^(https?:|mailto:|\/|#)/i.test(url) ? url : null;
+}
+
+// Inline Markdown on already-escaped text
+function renderInline(text) {
+  const codes = [];
+  return text
+    .replace(/`([^`]+)`/g, (_, code) => `\u0000${codes.push(code) - 1}\u0000`)
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      const href = safeUrl(url);
+      return href ? `<a href="${href}" rel="noopener noreferrer">${label || href}</a>` : label;
+    })
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(.+?)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, '$1<em>$2</em>')
+    .replace(/~~(.+?)~~/g, '<del>$1</del>')
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${codes[i]}</code>`);
+}
+
+// Small Markdown subset: headings, paragraphs, lists, quotes, code blocks, rules, links.
+// Input is escaped before any tag is produced, so raw HTML in notes never reaches the page.
+function renderMarkdown(markdown) {
+  const lines = escapeHtml(markdown || '').split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) html.push(`</${list}>`);
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if (line.startsWith('```')) {
+      flushParagraph();
+      closeList();
+      const code = [];
+      while (++i < lines.length && !lines[i].startsWith('```')) code.push(lines[i]);
+      html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+    } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+      flushParagraph();
+      closeList();
+      html.push(`<h${match[1].length}>${renderInline(match[2])}</h${match[1].length}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      closeList();
+      html.push('<hr>');
+    } else if ((match = line.match(/^\s*(?:[-*+]|(\d+)\.)\s+(.*)$/))) {
+      flushParagraph();
+      const type = match[1] ? 'ol' : 'ul';
+      if (list !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        list = type;
+      }
+      html.push(`<li>${renderInline(match[2])}</li>`);
+    } else if ((match = line.match(/^&gt;\s?(.*)$/))) {
+      flushParagraph();
+      closeList();
+      html.push(`<blockquote>${renderInline(match[1])}</blockquote>`);
+    } else if (!line.trim()) {
+      flushParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(line.trim());
+    }
+  }
+  flushParagraph();
+  closeList();
+  return html.join('\n');
+}
+
+// ==================== NOTION SYNC ====================
+
+const NOTION_VERSION = '2022-06-28';
+const NOTION_PROPERTY_TYPES = ['title', 'rich_text', 'select', 'status', 'multi_select', 'date'];
+const NOTION_SYNC_BATCH = 50; // local changes pushed per run; the rest wait for the next one
+
+// Local field -> Notion property. Databases with other property names override these via PUT /api/notion/sync.
+const NOTION_SYNC_DEFAULTS = {
+  enabled: false,
+  interval_minutes: 30,
+  tasks: {
+    database_id: null,
+    properties: {
+      title: { property: 'Name', type: 'title' },
+      description: { property: 'Description', type: 'rich_text' },
+      status: { property: 'Status', type: 'status' },
+      priority: { property: 'Priority', type: 'select' },
+      tags: { property: 'Tags', type: 'multi_select' },
+      due: { property: 'Due', type: 'date' },
+    },
+    // Local status -> Notion option name; unmapped statuses are sent as-is
+    status_values: { pending: 'Not started', in_progress: 'In progress', done: 'Done' },
+  },
+  notes: {
+    database_id: null,
+    properties: {
+      title: { property: 'Name', type: 'title' },
+      content: { property: 'Content', type: 'rich_text' },
+      tags: { property: 'Tags', type: 'multi_select' },
+    },
+  },
+};
+const NOTION_SYNC_FIELDS = {
+  tasks: ['title', 'description', 'status', 'priority', 'tags', 'due'],
+  notes: ['title', 'content', 'tags'],
+};
+
+function notionBaseUrl(env) {
+  return (env.NOTION_API_URL || 'https://api.notion.com/v1').replace(/\/$/, '');
+}
+
+async function notionRequest(env, method, path, body) {
+  const response = await fetch(`${notionBaseUrl(env)}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${env.NOTION_API_KEY}`,
+      'Notion-Version': NOTION_VERSION,
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  // Gateways and outages answer with HTML; report those in Notion's own error shape
+  const text = await response.text();
+  try {
+    return { ok: response.ok, status: response.status, data: JSON.parse(text) };
+  } catch {
+    return {
+      ok: false,
+      status: response.status,
+      data: { object: 'error', status: response.status, code: 'invalid_json', message: `Notion returned a non-JSON response (HTTP ${response.status})` },
+    };
+  }
+}
+
+async function getNotionSyncConfig(env) {
+  const stored = await env.MEMORY.get('config:notion_sync', 'json');
+  return mergeNotionSyncConfig(stored || {});
+}
+
+function mergeNotionSyncConfig(config) {
+  const merged = { ...NOTION_SYNC_DEFAULTS, ...config };
+  for (const entity of ['tasks', 'notes']) {
+    merged[entity] = {
+      ...NOTION_SYNC_DEFAULTS[entity],
+      ...config[entity],
+      properties: { ...NOTION_SYNC_DEFAULTS[entity].properties, ...config[entity]?.properties },
+    };
+  }
+  return merged;
+}
+
+// Returns { error, field } or null
+function validateNotionSyncConfig(config) {
+  if (!config || typeof config !== 'object') return { error: 'body must be a JSON object' };
+  if (config.enabled !== undefined && typeof config.enabled !== 'boolean') return { error: 'enabled must be a boolean', field: 'enabled' };
+  if (config.interval_minutes !== undefined && (!Number.isInteger(config.interval_minutes) || config.interval_minutes < 5)) {
+    return { error: 'interval_minutes must be an integer of at least 5', field: 'interval_minutes' };
+  }
+  for (const entity of ['tasks', 'notes']) {
+    const target = config[entity];
+    if (target === undefined) continue;
+    if (typeof target !== 'object' || target === null) return { error: `${entity} must be an object`, field: entity };
+    if (target.database_id !== undefined && target.database_id !== null && typeof target.database_id !== 'string') {
+      return { error: `${entity}.database_id must be a string`, field: entity };
+    }
+    for (const [field, mapping] of Object.entries(target.properties || {})) {
+      if (!NOTION_SYNC_FIELDS[entity].includes(field)) {
+        return { error: `${entity}.properties.${field}: field must be one of ${NOTION_SYNC_FIELDS[entity].join(', ')}`, field: entity };
+      }
+      if (mapping === null) continue; // not synced
+      if (typeof mapping?.property !== 'string' || !NOTION_PROPERTY_TYPES.includes(mapping.type)) {
+        return { error: `${entity}.properties.${field} needs a property name and a type (${NOTION_PROPERTY_TYPES.join(', ')})`, field: entity };
+      }
+    }
+  }
+  return null;
+}
+
+// Notion caps text objects at 2000 characters and arrays at 100 items
+function notionText(value) {
+  const text = String(value ?? '');
+  const chunks = [];
+  for (let i = 0; i < text.length && chunks.length < 100; i += 2000) chunks.push(text.slice(i, i + 2000));
+  return chunks.map(content => ({ type: 'text', text: { content } }));
+}
+
+function toNotionProperty(type, value) {
+  switch (type) {
+    case 'title': return { title: notionText(value) };
+    case 'rich_text': return { rich_text: notionText(value) };
+    case 'select': return { select: value ? { name: String(value) } : null };
+    case 'status': return { status: value ? { name: String(value) } : null };
+    case 'multi_select': return { multi_select: (value || []).map(name => ({ name: String(name) })) };
+    case 'date': return { date: value ? { start: value } : null };
+  }
+}
+
+function fromNotionProperty(property) {
+  switch (property?.type) {
+    case 'title':
+    case 'rich_text':
+      return property[property.type].map(t => t.plain_text ?? t.text?.content ?? '').join('');
+    case 'select':
+    case 'status':
+      return property[property.type]?.name ?? null;
+    case 'multi_select':
+      return property.multi_select.map(option => option.name);
+    case 'date':
+      return property.date?.start ?? null;
+    default:
+      return undefined;
+  }
+}
+
+function fieldsToNotionProperties(fields, target) {
+  const properties = {};
+  for (const [field, mapping] of Object.entries(target.properties)) {
+    if (!mapping || fields[field] === undefined) continue;
+    const value = field === 'status' ? (target.status_values?.[fields.status] || fields.status) : fields[field];
+    properties[mapping.property] = toNotionProperty(mapping.type, value);
+  }
+  return properties;
+}
+
+function notionPageToFields(page, target) {
+  const fields = {};
+  for (const [field, mapping] of Object.entries(target.properties)) {
+    if (!mapping) continue;
+    const value = fromNotionProperty(page.properties?.[mapping.property]);
+    if (value !== undefined) fields[field] = value;
+  }
+  if (fields.status !== undefined) {
+    const local = Object.entries(target.status_values || {}).find(([, name]) => name === fields.status)?.[0]
+      || String(fields.status || '').toLowerCase().replace(/\s+/g, '_');
+    if (TASK_STATUSES.includes(local)) fields.status = local;
+    else delete fields.status;
+  }
+  return fields;
+}
+
+// Storage differences between D1 tasks and KV notes, behind one interface
+const NOTION_SYNC_ADAPTERS = {
+  tasks: {
+    async load(env) {
+      const result = await env.DB.prepare('SELECT * FROM tasks').all();
+      return result.results.map(row => {
+        const task = rowToTask(row);
+        return { ...task, fields: pick(task, NOTION_SYNC_FIELDS.tasks) };
+      });
+    },
+    async create(env, fields) {
+      const { priority, due } = fields;
+      const { id, task } = await createTask(env, {
+        title: fields.title || 'Untitled',
+        description: fields.description || '',
+        priority: TASK_PRIORITIES.includes(priority) ? priority : undefined,
+        tags: Array.isArray(fields.tags) ? fields.tags : [],
+        due: due && !isNaN(Date.parse(due)) ? due : undefined,
+      }, 'notion-sync');
+      if (fields.status && fields.status !== task.status) {
+        const moved = await stepTaskTo(env, { id, ...task }, fields.status, 'notion-sync', 'status from Notion');
+        if (moved.error) return { id, error: moved.error };
+      }
+      return { id };
+    },
+    async update(env, record, fields) {
+      let task = await getTask(env, record.id);
+      if (fields.status && fields.status !== task.status) {
+        const result = await stepTaskTo(env, task, fields.status, 'notion-sync', 'status from Notion');
+        if (result.error) throw new Error(result.error);
+        task = result.task;
+      }
+      const updated = {
+        ...task,
+        ...(fields.title !== undefined && { title: fields.title || 'Untitled' }),
+        ...(fields.description !== undefined && { description: fields.description }),
+        ...(TASK_PRIORITIES.includes(fields.priority) && { priority: fields.priority }),
+        ...(Array.isArray(fields.tags) && { tags: fields.tags }),
+        ...(fields.due !== undefined && { due: fields.due && !isNaN(Date.parse(fields.due)) ? new Date(fields.due).toISOString() : null }),
+        updated: new Date().toISOString(),
+      };
+      await env.DB.prepare(
+        'UPDATE tasks SET title = ?, description = ?, priority = ?, tags = ?, due = ?, updated = ? WHERE id = ?'
+      ).bind(updated.title, updated.description, updated.priority, JSON.stringify(updated.tags), updated.due, updated.updated, record.id).run();
+      await indexEntity(env, 'task', record.id, taskDocument(updated));
+    },
+    async markSynced(env, id, pageId, editedAt) {
+      await env.DB.prepare(
+        'UPDATE tasks SET notion_page_id = ?, notion_edited_at = ?, notion_synced_at = updated WHERE id = ?'
+      ).bind(pageId, editedAt, id).run();
+    },
+  },
+  notes: {
+    async load(env) {
+      const entries = await listAllKV(env, 'note:');
+      return entries
+        .filter(e => e.value && typeof e.value === 'object')
+        .map(e => ({ id: e.name, ...e.value, fields: pick(e.value, NOTION_SYNC_FIELDS.notes) }));
+    },
+    async create(env, fields) {
+      const now = new Date().toISOString();
+      // Several pages can arrive within the same millisecond
+      let ts = Date.now();
+      while (await env.MEMORY.get(`note:${ts}`)) ts++;
+      const id = `note:${ts}`;
+      const note = { title: fields.title || 'Untitled', content: fields.content || '', tags: fields.tags || [], revision: 1, created: now, updated: now };
+      await env.MEMORY.put(id, JSON.stringify(note));
+      await indexEntity(env, 'note', id, noteDocument(note));
+      return { id };
+    },
+    async update(env, record, fields) {
+      const note = await env.MEMORY.get(record.id, 'json');
+      await saveNoteRevision(env, record.id, note, fields);
+    },
+    async markSynced(env, id, pageId, editedAt) {
+      const note = await env.MEMORY.get(id, 'json');
+      await env.MEMORY.put(id, JSON.stringify({ ...note, notion_page_id: pageId, notion_edited_at: editedAt, notion_synced_at: note.updated }));
+    },
+  },
+};
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+// Pull pages edited since the last run, then push local changes. When both sides changed,
+// the later of Notion's last_edited_time and the local updated time wins. Pages that failed
+// to apply are listed in `errors` with a `page` id.
+async function syncWithNotion(env, entity, target, since) {
+  const adapter = NOTION_SYNC_ADAPTERS[entity];
+  const result = { pulled: 0, created: 0, pushed: 0, conflicts: 0, errors: [] };
+  const byPage = new Map((await adapter.load(env)).filter(r => r.notion_page_id).map(r => [r.notion_page_id, r]));
+
+  let cursor = null;
+  do {
+    const query = {
+      page_size: 100,
+      ...(cursor && { start_cursor: cursor }),
+      // last_edited_time is minute-precision, so look back a little further
+      ...(since && { filter: { timestamp: 'last_edited_time', last_edited_time: { on_or_after: new Date(Date.parse(since) - 120000).toISOString() } } }),
+    };
+    const response = await notionRequest(env, 'POST', `/databases/${target.database_id}/query`, query);
+    if (!response.ok) throw new Error(`Notion query failed (${response.status}): ${response.data.message || 'unknown error'}`);
+
+    for (const page of response.data.results) {
+      if (page.archived || page.in_trash) continue;
+      const record = byPage.get(page.id);
+      if (record && record.notion_edited_at === page.last_edited_time) continue; // unchanged since our last sync
+      try {
+        const fields = notionPageToFields(page, target);
+        if (!record) {
+          const created = await adapter.create(env, fields);
+          // Without the edit time, a status the new record couldn't reach is retried on the next pull
+          await adapter.markSynced(env, created.id, page.id, created.error ? null : page.last_edited_time);
+          result.created++;
+          if (created.error) result.errors.push({ page: page.id, error: created.error });
+          continue;
+        }
+        const localChanged = !record.notion_synced_at || record.updated > record.notion_synced_at;
+        if (localChanged) {
+          result.conflicts++;
+          if (record.updated >= page.last_edited_time) continue; // local is newer; pushed below
+        }
+        await adapter.update(env, record, fields);
+        await adapter.markSynced(env, record.id, page.id, page.last_edited_time);
+        result.pulled++;
+      } catch (e) {
+        result.errors.push({ page: page.id, error: e.message });
+      }
+    }
+    cursor = response.data.has_more ? response.data.next_cursor : null;
+  } while (cursor);
+
+  const pending = (await adapter.load(env))
+    .filter(r => !r.notion_page_id || !r.notion_synced_at || r.updated > r.notion_synced_at)
+    .slice(0, NOTION_SYNC_BATCH);
+  for (const record of pending) {
+    const properties = fieldsToNotionProperties(record.fields, target);
+    const response = record.notion_page_id
+      ? await notionRequest(env, 'PATCH', `/pages/${record.notion_page_id}`, { properties })
+      : await notionRequest(env, 'POST', '/pages', { parent: { database_id: target.database_id }, properties });
+    if (!response.ok) {
+      result.errors.push({ id: record.id, error: `Notion ${response.status}: ${response.data.message || 'unknown error'}` });
+      continue;
+    }
+    await adapter.markSynced(env, record.id, response.data.id, response.data.last_edited_time);
+    result.pushed++;
+  }
+  return result;
+}
+
+async function runNotionSync(env, entity = 'all') {
+  if (!env.NOTION_API_KEY) throw new Error('Notion not configured');
+  const config = await getNotionSyncConfig(env);
+  const state = (await env.MEMORY.get('notion_sync_state', 'json')) || {};
+  const results = {};
+
+  for (const name of entity === 'all' ? ['tasks', 'notes'] : [entity]) {
+    if (!config[name].database_id) {
+      results[name] = { skipped: 'no database_id configured' };
+      continue;
+    }
+    const started = new Date().toISOString();
+    try {
+      results[name] = await syncWithNotion(env, name, config[name], state[name]?.last_pull);
+      // A page that failed to apply is pulled again next time rather than skipped for good
+      const pullFailed = results[name].errors.some(e => e.page);
+      state[name] = { last_pull: pullFailed ? state[name]?.last_pull : started, last_result: results[name] };
+    } catch (e) {
+      results[name] = { error: e.message };
+      state[name] = { ...state[name], last_error: e.message, last_error_at: started };
+    }
+  }
+
+  await env.MEMORY.put('notion_sync_state', JSON.stringify({ ...state, last_run: new Date().toISOString() }));
+  await log(env, 'notion', `Sync finished: ${JSON.stringify(results).slice(0, 200)}`);
+  return results;
+}
+
+// Cron side: queue a sync once interval_minutes have passed since the last one was queued
+async function scheduleNotionSync(env) {
+  const config = await getNotionSyncConfig(env);
+  if (!config.enabled) return false;
+  const state = (await env.MEMORY.get('notion_sync_state', 'json')) || {};
+  if (state.last_enqueued && Date.now() - Date.parse(state.last_enqueued) < config.interval_minutes * 60000) return false;
+  await enqueueJob(env, 'notion-sync', { entity: 'all' });
+  await env.MEMORY.put('notion_sync_state', JSON.stringify({ ...state, last_enqueued: new Date().toISOString() }));
+  return true;
+}
+
+// ==================== BACKUPS ====================
+
+// Snapshots live under backups/<id>/ in R2: kv/part-<n>.ndjson (KV keys in the /memory/export
+// format), d1/<table>/part-<n>.ndjson (one row per line) and manifest.json with SHA-256 checksums.
+// Workers cap KV/D1 operations per invocation, so a snapshot is written one page per queue
+// message and restored the same way.
+const BACKUP_D1_TABLES = ['logs', 'analytics', 'tasks', 'task_dependencies', 'task_transitions', 'task_dispatch', 'queue_jobs', 'schedules',
+  'monitors', 'monitor_checks', 'incidents', 'maintenance_windows', 'notification_deliveries', 'budget_alerts'];
+const BACKUP_RETENTION = 14; // snapshots kept
+const BACKUP_HOUR_UTC = 2;
+const BACKUP_KV_PAGE = 250; // keys per message, one KV get each
+const BACKUP_D1_PAGE = 5000; // rows per message
+const BACKUP_RESTORE_LINES = 250; // lines applied per restore message (skip mode reads before it writes)
+const BACKUP_STAGES = ['kv', 'd1', 'manifest'];
+
+function backupPartName(part) {
+  return `part-${String(part).padStart(5, '0')}.ndjson`;
+}
+
+async function writeBackupPart(env, prefix, name, lines) {
+  const body = lines.join('');
+  await env.STORAGE.put(prefix + name, body, {
+    httpMetadata: { contentType: 'application/x-ndjson' },
+    customMetadata: { sha256: await sha256Hex(body), records: String(lines.length) },
+  });
+}
+
+// One backup step: a page of KV keys, a page of one table, or the closing manifest.
+// Each step queues the next; returns { backup_id, stage, manifest? }.
+async function runBackupStep(env, job) {
+  const created = job.created || new Date().toISOString();
+  const id = job.backup_id || created.replace(/[:.]/g, '-');
+  const prefix = `backups/${id}/`;
+  const stage = job.stage || 'kv';
+  const part = job.part || 0;
+  let next;
+
+  if (stage === 'kv') {
+    const list = await env.MEMORY.list({ cursor: job.cursor || undefined, limit: BACKUP_KV_PAGE });
+    const lines = [];
+    for (const k of list.keys) {
+      const value = await env.MEMORY.get(k.name);
+      if (value !== null) lines.push(memoryExportLine(k, value));
+    }
+    if (lines.length) await writeBackupPart(env, prefix, `kv/${backupPartName(part)}`, lines);
+    next = list.list_complete ? { stage: env.DB ? 'd1' : 'manifest', table: 0 } : { stage: 'kv', cursor: list.cursor, part: part + 1 };
+  } else if (stage === 'd1') {
+    const index = job.table || 0;
+    const table = BACKUP_D1_TABLES[index];
+    let rows = [];
+    try {
+      // Keyed on rowid so rows written meanwhile don't shift the pages
+      const page = await env.DB.prepare(
+        `SELECT rowid AS _backup_rowid, * FROM ${table} WHERE rowid > ? ORDER BY rowid LIMIT ?`
+      ).bind(job.after || 0, BACKUP_D1_PAGE).all();
+      rows = page.results;
+    } catch (e) {
+      console.error(`Backup of ${table} failed:`, e); // table missing on this database
+    }
+    if (rows.length) {
+      await writeBackupPart(env, prefix, `d1/${table}/${backupPartName(part)}`, rows.map(({ _backup_rowid, ...row }) => JSON.stringify(row) + '\n'));
+    }
+    if (rows.length === BACKUP_D1_PAGE) {
+      next = { stage: 'd1', table: index, after: rows[rows.length - 1]._backup_rowid, part: part + 1 };
+    } else {
+      next = index + 1 < BACKUP_D1_TABLES.length ? { stage: 'd1', table: index + 1 } : { stage: 'manifest' };
+    }
+  } else {
+    const manifest = { id, created, kv: { keys: 0 }, tables: {}, files: {} };
+    let cursor;
+    do {
+      const list = await env.STORAGE.list({ prefix, cursor, include: ['customMetadata'] });
+      for (const object of list.objects) {
+        const name = object.key.slice(prefix.length);
+        if (!object.customMetadata?.sha256) continue;
+        const records = parseInt(object.customMetadata.records) || 0;
+        manifest.files[name] = { size: object.size, sha256: object.customMetadata.sha256, records };
+        const table = name.match(/^d1\/(\w+)\//)?.[1];
+        if (table) manifest.tables[table] = (manifest.tables[table] || 0) + records;
+        else manifest.kv.keys += records;
+      }
+      cursor = list.truncated ? list.cursor : undefined;
+    } while (cursor);
+    await env.STORAGE.put(prefix + 'manifest.json', JSON.stringify(manifest, null, 2), { httpMetadata: { contentType: 'application/json' } });
+    await pruneBackups(env, parseInt(env.BACKUP_RETENTION) || BACKUP_RETENTION);
+    return { backup_id: id, stage, manifest };
+  }
+
+  const queued = await enqueueJob(env, 'backup', { target: 'r2', backup_id: id, created, ...next });
+  if (queued.error) throw new Error(queued.error);
+  return { backup_id: id, stage, next_stage: next.stage };
+}
+
+async function listBackupIds(env) {
+  const ids = [];
+  let cursor;
+  do {
+    const list = await env.STORAGE.list({ prefix: 'backups/', delimiter: '/', cursor });
+    ids.push(...list.delimitedPrefixes.map(p => p.slice('backups/'.length, -1)));
+    cursor = list.truncated ? list.cursor : undefined;
+  } while (cursor);
+  return ids.sort(); // ids are timestamps, so oldest first
+}
+
+async function listBackups(env) {
+  const ids = await listBackupIds(env);
+  const manifests = await Promise.all(ids.reverse().map(id => getBackupManifest(env, id)));
+  return manifests.filter(Boolean).map(({ files, ...summary }) => summary);
+}
+
+async function getBackupManifest(env, id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  const object = await env.STORAGE.get(`backups/${id}/manifest.json`);
+  return object ? object.json() : null;
+}
+
+async function pruneBackups(env, keep) {
+  const ids = await listBackupIds(env);
+  for (const id of ids.slice(0, Math.max(0, ids.length - keep))) {
+    let cursor;
+    do {
+      const list = await env.STORAGE.list({ prefix: `backups/${id}/`, cursor });
+      if (list.objects.length) await env.STORAGE.delete(list.objects.map(o => o.key));
+      cursor = list.truncated ? list.cursor : undefined;
+    } while (cursor);
+    await log(env, 'backup', `Pruned backup ${id}`);
+  }
+}
+
+// Which restore part (kv or a table name) a manifest file belongs to; covers the older
+// single-file layout (kv.ndjson, d1/<table>.ndjson) too
+function backupFilePart(name) {
+  if (name === 'kv.ndjson' || name.startsWith('kv/')) return 'kv';
+  return name.match(/^d1\/(\w+)(\.ndjson$|\/)/)?.[1] || null;
+}
+
+async function getRestore(env, id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  const object = await env.STORAGE.get(`restores/${id}.json`);
+  return object ? object.json() : null;
+}
+
+async function saveRestore(env, restore) {
+  restore.updated = new Date().toISOString();
+  await env.STORAGE.put(`restores/${restore.id}.json`, JSON.stringify(restore, null, 2), { httpMetadata: { contentType: 'application/json' } });
+}
+
+// Start a restore: record its state in R2 and queue the first step
+async function startRestore(env, manifest, { mode, dryRun, include }) {
+  const files = Object.keys(manifest.files).filter(name => include.includes(backupFilePart(name))).sort();
+  const restore = {
+    id: `restore_${Date.now()}_${randomHex(4)}`,
+    backup: manifest.id,
+    mode,
+    dry_run: dryRun,
+    include,
+    files,
+    status: 'verifying',
+    checksums: {},
+    kv: { total: 0, written: 0, skipped: 0, invalid: 0, errors: [] },
+    tables: {},
+    created: new Date().toISOString(),
+  };
+  await saveRestore(env, restore);
+  const queued = await enqueueJob(env, 'restore', { restore_id: restore.id, stage: files.length ? 'verify' : 'finish', file: 0 });
+  if (queued.error) throw new Error(queued.error);
+  return restore;
+}
+
+async function readBackupFile(env, restore, manifest, name) {
+  const object = await env.STORAGE.get(`backups/${restore.backup}/${name}`);
+  const text = object ? await object.text() : null;
+  if (text === null) return { status: 'missing' };
+  return await sha256Hex(text) === manifest.files[name].sha256 ? { status: 'ok', text } : { status: 'mismatch' };
+}
+
+// One restore step. Every file is checksummed (one per message) before anything is written;
+// then each file is applied BACKUP_RESTORE_LINES lines at a time.
+async function runRestoreStep(env, job) {
+  const restore = await getRestore(env, job.restore_id);
+  if (!restore) throw new Error(`Restore ${job.restore_id} not found`);
+  if (restore.status === 'done' || restore.status === 'failed') return { restore_id: restore.id, status: restore.status };
+  const manifest = await getBackupManifest(env, restore.backup);
+  if (!manifest) throw new Error(`Backup ${restore.backup} not found`);
+  const name = restore.files[job.file];
+  let next;
+
+  if (job.stage === 'verify') {
+    const { status } = await readBackupFile(env, restore, manifest, name);
+    restore.checksums[name] = status;
+    if (status !== 'ok') {
+      restore.status = 'failed';
+      restore.error = 'Backup failed verification';
+      await saveRestore(env, restore);
+      await log(env, 'backup', `Restore ${restore.id} of ${restore.backup} failed verification (${name}: ${status})`);
+      return { restore_id: restore.id, status: restore.status };
+    }
+    next = job.file + 1 < restore.files.length ? { stage: 'verify', file: job.file + 1 } : { stage: 'apply', file: 0, line: 0 };
+    if (next.stage === 'apply') restore.status = 'restoring';
+  } else if (job.stage === 'apply') {
+    const { status, text } = await readBackupFile(env, restore, manifest, name);
+    if (status !== 'ok') throw new Error(`Backup file ${name} changed since verification (${status})`);
+    const line = job.line || 0;
+    const lines = text.split('\n').filter(Boolean);
+    const chunk = lines.slice(line, line + BACKUP_RESTORE_LINES);
+    const part = backupFilePart(name);
+
+    if (part === 'kv') {
+      const report = await importMemory(env, chunk.join('\n'), { mode: restore.mode, dryRun: restore.dry_run, includeReserved: true });
+      for (const field of ['total', 'written', 'skipped', 'invalid']) restore.kv[field] += report[field];
+      restore.kv.errors.push(...report.errors.slice(0, Math.max(0, 100 - restore.kv.errors.length)));
+    } else {
+      const counts = restore.tables[part] || (restore.tables[part] = restore.dry_run ? { rows: 0 } : { rows: 0, written: 0 });
+      counts.rows += chunk.length;
+      if (!restore.dry_run) {
+        const conflict = restore.mode === 'overwrite' ? 'REPLACE' : 'IGNORE';
+        const rows = chunk.map(row => JSON.parse(row));
+        for (let i = 0; i < rows.length; i += 100) {
+          const statements = rows.slice(i, i + 100).map(row => {
+            const columns = Object.keys(row).filter(column => /^\w+$/.test(column));
+            return env.DB.prepare(
+              `INSERT OR ${conflict} INTO ${part} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+            ).bind(...columns.map(column => row[column]));
+          });
+          const results = await env.DB.batch(statements);
+          counts.written += results.reduce((sum, r) => sum + (r.meta?.changes || 0), 0);
+        }
+      }
+    }
+
+    if (line + BACKUP_RESTORE_LINES < lines.length) next = { stage: 'apply', file: job.file, line: line + BACKUP_RESTORE_LINES };
+    else if (job.file + 1 < restore.files.length) next = { stage: 'apply', file: job.file + 1, line: 0 };
+    else next = { stage: 'finish' };
+  } else {
+    if (!restore.dry_run && restore.files.some(file => ['kv', 'tasks'].includes(backupFilePart(file)))) {
+      restore.search = await reindexSearch(env);
+    }
+    restore.status = 'done';
+    restore.finished = new Date().toISOString();
+    await saveRestore(env, restore);
+    await log(env, 'backup', `${restore.dry_run ? 'Dry-run restore' : 'Restored'} ${restore.backup} (${restore.mode}, ${restore.id})`);
+    return { restore_id: restore.id, status: restore.status };
+  }
+
+  await saveRestore(env, restore);
+  const queued = await enqueueJob(env, 'restore', { restore_id: restore.id, ...next });
+  if (queued.error) throw new Error(queued.error);
+  return { restore_id: restore.id, stage: job.stage, next_stage: next.stage };
+}
+
+// Cron side: queue one backup per day once BACKUP_HOUR_UTC has passed
+async function scheduleBackup(env, scheduledTime) {
+  const now = new Date(scheduledTime || Date.now());
+  const today = now.toISOString().split('T')[0];
+  if (now.getUTCHours() < BACKUP_HOUR_UTC) return false;
+  if ((await env.MEMORY.get('backup_last_enqueued')) === today) return false;
+  await enqueueJob(env, 'backup', { target: 'r2' });
+  await env.MEMORY.put('backup_last_enqueued', today);
+  return true;
+}
+
+// ==================== CRON EXPRESSIONS ====================
+
+// Standard 5-field cron (minute hour day-of-month month day-of-week) with *, lists, ranges
+// and steps, evaluated in an IANA timezone. Day-of-month and day-of-week are OR-ed when
+// both are restricted, as in classic cron.
+const CRON_PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 1',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+
+// Returns { fields: [Set...], restricted: {day, weekday} } or { error }
+function parseCron(expression) {
+  const parts = (CRON_PRESETS[expression] || String(expression || '')).trim().split(/\s+/);
+  if (parts.length !== 5) return { error: 'cron expression must have 5 fields (minute hour day month weekday)' };
+  const fields = [];
+  for (let i = 0; i < 5; i++) {
+    const { name, min, max } = CRON_FIELDS[i];
+    const values = new Set();
+    for (const item of parts[i].split(',')) {
+      const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) return { error: `invalid ${name} field: ${parts[i]}` };
+      const step = match[4] ? parseInt(match[4]) : 1;
+      const from = match[1] === '*' ? min : parseInt(match[2]);
+      const to = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : from));
+      if (from < min || to > max || from > to || step < 1) return { error: `${name} out of range: ${item}` };
+      for (let v = from; v <= to; v += step) values.add(name === 'weekday' && v === 7 ? 0 : v);
+    }
+    fields.push(values);
+  }
+  return { fields, restricted: { day: parts[2] !== '*', weekday: parts[4] !== '*' } };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a timezone
+function zonedParts(time, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', weekday: 'short',
+  }).formatToParts(new Date(time)).map(p => [p.type, p.value]));
+  return {
+    year: +parts.year,
+    month: +parts.month,
+    day: +parts.day,
+    hour: +parts.hour,
+    minute: +parts.minute,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+// Instant of a wall-clock time in a timezone. The second pass settles the offset when the
+// first guess lands on the other side of a DST change.
+function zonedTime(timezone, year, month, day, hour = 0, minute = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let time = wall;
+  for (let i = 0; i < 2; i++) {
+    const local = zonedParts(time, timezone);
+    time += wall - Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+  }
+  return time;
+}
+
+// First matching minute strictly after `after` (ms), as an ISO string; null if none within ~1 year
+function nextCronRun(expression, timezone, after) {
+  const cron = parseCron(expression);
+  if (cron.error) return null;
+  const [minutes, hours, days, months, weekdays] = cron.fields;
+  let time = Math.floor(after / 60000) * 60000 + 60000;
+  const limit = after + 370 * 86400000;
+
+  while (time < limit) {
+    const local = zonedParts(time, timezone);
+    const dayMatches = cron.restricted.day && cron.restricted.weekday
+      ? days.has(local.day) || weekdays.has(local.weekday)
+      : days.has(local.day) && weekdays.has(local.weekday);
+    if (!months.has(local.month) || !dayMatches) {
+      // Next local midnight from the date, not elapsed minutes: DST days are 23 or 25 hours long.
+      // Where midnight itself is skipped, fall back to the next hour.
+      const midnight = zonedTime(timezone, local.year, local.month, local.day + 1);
+      time = midnight > time ? midnight : time + (60 - local.minute) * 60000;
+    } else if (!hours.has(local.hour)) {
+      time += (60 - local.minute) * 60000;
+    } else if (!minutes.has(local.minute)) {
+      time += 60000;
+    } else {
+      return new Date(time).toISOString();
+    }
+  }
+  return null;
+}
+
+// ==================== INVOICES ====================
+
+const INVOICE_TIMEZONE = 'Europe/Warsaw';
+
+const INVOICE_OVERDUE_HOUR = 8; // local time of the daily overdue digest
+const INVOICE_REPORT_MAX_PAGES = 50;
+// Documents that are not receivables
+const INVOICE_REPORT_SKIP_KINDS = ['proforma', 'estimate', 'advance_request'];
+
+function fakturowniaBaseUrl(env) {
+  return (env.FAKTUROWNIA_URL || `https://${env.FAKTUROWNIA_USER}.fakturownia.pl`).replace(/\/$/, '');
+}
+
+// The API token goes in the Authorization header (and the JSON body for writes), never the
+// query string, so it doesn't end up in access logs or Fakturownia's redirect URLs.
+function fakturowniaFetch(env, path, { method = 'GET', body } = {}) {
+  const headers = { 'Authorization': `Bearer ${env.FAKTUROWNIA_TOKEN}`, 'Accept': 'application/json' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  return fetch(`${fakturowniaBaseUrl(env)}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify({ api_token: env.FAKTUROWNIA_TOKEN, ...body }),
+  });
+}
+
+async function createFakturowniaInvoice(env, invoice) {
+  const response = await fakturowniaFetch(env, '/invoices.json', { method: 'POST', body: { invoice } });
+  const data = await response.json();
+  if (response.ok) {
+    await emitEvent(env, 'invoice.created', { id: data.id, number: data.number, invoice: data });
+  }
+  return { ok: response.ok, status: response.status, data };
+}
+
+// Returns an error message or null
+function validateInvoiceTemplate(template) {
+  if (typeof template.name !== 'string' || !template.name.trim()) return 'name is required';
+  const client = template.client;
+  if (!client || typeof client !== 'object') return 'client is required';
+  if (!client.client_id && (typeof client.buyer_name !== 'string' || !client.buyer_name)) {
+    return 'client needs a buyer_name or a Fakturownia client_id';
+  }
+  if (!Array.isArray(template.positions) || !template.positions.length) return 'positions must be a non-empty array';
+  for (const [i, position] of template.positions.entries()) {
+    if (typeof position?.name !== 'string' || !position.name) return `positions[${i}].name is required`;
+    if (position.quantity !== undefined && !(typeof position.quantity === 'number' && position.quantity > 0)) {
+      return `positions[${i}].quantity must be a positive number`;
+    }
+    if (typeof position.total_price_gross !== 'number' && typeof position.price_net !== 'number') {
+      return `positions[${i}] needs total_price_gross or price_net`;
+    }
+  }
+  if (!/^[A-Z]{3}$/.test(template.currency)) return 'currency must be a 3-letter code';
+  if (!Number.isInteger(template.payment_days) || template.payment_days < 0) return 'payment_days must be a non-negative integer';
+  if (!isValidTimezone(template.timezone)) return `unknown timezone: ${template.timezone}`;
+  const cron = parseCron(template.schedule);
+  if (cron.error) return `schedule: ${cron.error}`;
+  return null;
+}
+
+// All invoices issued between two dates (inclusive), following Fakturownia's pagination.
+// `truncated` is set when the range holds more than INVOICE_REPORT_MAX_PAGES pages.
+async function listFakturowniaInvoices(env, from, to) {
+  const invoices = [];
+  for (let page = 1; page <= INVOICE_REPORT_MAX_PAGES; page++) {
+    const params = new URLSearchParams({ period: 'more', date_from: from, date_to: to, page: String(page), per_page: '100' });
+    const response = await fakturowniaFetch(env, `/invoices.json?${params}`);
+    if (!response.ok) throw new Error(`Fakturownia returned ${response.status}`);
+    const batch = await response.json();
+    invoices.push(...batch);
+    if (batch.length < 100) return { invoices, truncated: false };
+  }
+  return { invoices, truncated: true };
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Amounts of one invoice; `paid` falls back to the full amount for invoices marked paid
+function invoiceAmounts(invoice, today) {
+  const issued = parseFloat(invoice.price_gross) || 0;
+  const paid = invoice.status === 'paid' ? issued : Math.min(parseFloat(invoice.paid) || 0, issued);
+  const unpaid = invoice.status === 'rejected' ? 0 : issued - paid;
+  const overdue = unpaid > 0 && invoice.payment_to && invoice.payment_to < today ? unpaid : 0;
+  return { issued, paid, unpaid, overdue };
+}
+
+// Totals are kept per currency; amounts in different currencies are never summed together
+function invoiceReport(invoices, today) {
+  const empty = () => ({ count: 0, issued: 0, paid: 0, unpaid: 0, overdue: 0 });
+  const totals = {};
+  const clients = {};
+  const months = {};
+  const add = (bucket, currency, amounts) => {
+    const t = bucket[currency] || (bucket[currency] = empty());
+    t.count++;
+    for (const field of ['issued', 'paid', 'unpaid', 'overdue']) t[field] += amounts[field];
+  };
+
+  let counted = 0;
+  for (const invoice of invoices) {
+    if (INVOICE_REPORT_SKIP_KINDS.includes(invoice.kind)) continue;
+    counted++;
+    const currency = invoice.currency || 'PLN';
+    const amounts = invoiceAmounts(invoice, today);
+    const client = invoice.buyer_name || `client ${invoice.client_id || 'unknown'}`;
+    const month = String(invoice.issue_date || '').slice(0, 7) || 'unknown';
+    add(totals, currency, amounts);
+    add(clients[client] || (clients[client] = {}), currency, amounts);
+    add(months[month] || (months[month] = {}), currency, amounts);
+  }
+
+  const round = (bucket) => Object.fromEntries(Object.entries(bucket).map(([currency, t]) => [currency, {
+    count: t.count,
+    issued: roundMoney(t.issued),
+    paid: roundMoney(t.paid),
+    unpaid: roundMoney(t.unpaid),
+    overdue: roundMoney(t.overdue),
+  }]));
+  return {
+    invoices: counted,
+    totals: round(totals),
+    by_client: Object.entries(clients)
+      .map(([client, bucket]) => ({ client, totals: round(bucket) }))
+      .sort((a, b) => a.client.localeCompare(b.client)),
+    by_month: Object.entries(months)
+      .map(([month, bucket]) => ({ month, totals: round(bucket) }))
+      .sort((a, b) => a.month.localeCompare(b.month)),
+  };
+}
+
+// Cron side: queue the overdue digest once a day after INVOICE_OVERDUE_HOUR local time
+async function scheduleOverdueDigest(env, scheduledTime) {
+  const time = scheduledTime || Date.now();
+  const local = zonedParts(time, INVOICE_TIMEZONE);
+  const today = zonedDate(time, INVOICE_TIMEZONE);
+  if (local.hour < INVOICE_OVERDUE_HOUR) return false;
+  if ((await env.MEMORY.get('invoice_overdue_last_enqueued')) === today) return false;
+  await enqueueJob(env, 'invoice', { action: 'overdue_digest' });
+  await env.MEMORY.put('invoice_overdue_last_enqueued', today);
+  return true;
+}
+
+// Queue side: report invoices that became overdue since the last digest. Each invoice is
+// announced once; the marker outlives the one-year lookback window.
+async function sendOverdueDigest(env) {
+  if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) throw new Error('Fakturownia not configured');
+  const today = zonedDate(Date.now(), INVOICE_TIMEZONE);
+  const { invoices, truncated } = await listFakturowniaInvoices(env, zonedDate(Date.now(), INVOICE_TIMEZONE, -365), today);
+  if (truncated) await log(env, 'invoice', `Overdue digest: only the first ${invoices.length} invoices were checked`);
+
+  const fresh = [];
+  for (const invoice of invoices) {
+    if (INVOICE_REPORT_SKIP_KINDS.includes(invoice.kind)) continue;
+    const { overdue } = invoiceAmounts(invoice, today);
+    if (!overdue || await env.MEMORY.get(`invoice_overdue:${invoice.id}`)) continue;
+    fresh.push({ ...invoice, overdue });
+  }
+  if (!fresh.length) return 0;
+
+  const lines = fresh.map(i => `• <b>${escapeHtml(i.number || i.id)}</b> ${escapeHtml(i.buyer_name || '')}: ${roundMoney(i.overdue)} ${escapeHtml(i.currency || 'PLN')} (due ${escapeHtml(i.payment_to)})`);
+  await notify(env, 'invoice', 'warning', `⏰ <b>${fresh.length} invoice(s) overdue</b>\n${lines.join('\n')}`);
+  for (const invoice of fresh) {
+    await env.MEMORY.put(`invoice_overdue:${invoice.id}`, today, { expirationTtl: 86400 * 400 });
+  }
+  await log(env, 'invoice', `Overdue digest: ${fresh.length} invoice(s)`);
+  return fresh.length;
+}
+
+// Local calendar date (YYYY-MM-DD) of an instant, shifted by `days`
+function zonedDate(time, timezone, days = 0) {
+  const local = zonedParts(time, timezone);
+  return new Date(Date.UTC(local.year, local.month - 1, local.day + days)).toISOString().split('T')[0];
+}
+
+function buildTemplateInvoice(template, runAt) {
+  const time = Date.parse(runAt) || Date.now();
+  const today = zonedDate(time, template.timezone);
+  return {
+    kind: template.kind,
+    sell_date: today,
+    issue_date: today,
+    payment_to: zonedDate(time, template.timezone, template.payment_days),
+    currency: template.currency,
+    ...template.client,
+    positions: template.positions.map(p => ({ quantity: 1, ...p })),
+  };
+}
+
+// Cron side: enqueue every enabled template whose next_run has passed. next_run is moved
+// forward before the job is sent, so a slow or repeated cron run doesn't issue it twice.
+async function enqueueDueInvoices(env) {
+  const now = Date.now();
+  for (const { name: id, value: template } of await listAllKV(env, 'invoice_template:')) {
+    if (!template?.enabled || !template.next_run || Date.parse(template.next_run) > now) continue;
+    const runAt = template.next_run;
+    // Queue before moving next_run: a failed send leaves the run due for the next cron, and the
+    // per-run marker in issueInvoiceFromTemplate keeps a repeated job from issuing it twice
+    const queued = await enqueueJob(env, 'invoice', { action: 'create_from_template', template_id: id, run_at: runAt })
+      .catch(e => ({ error: e.message }));
+    if (queued.error) {
+      console.error(`Recurring invoice ${id} not queued:`, queued.error);
+      await log(env, 'invoice', `Could not queue recurring invoice: ${template.name} (${runAt}): ${queued.error}`);
+      continue;
+    }
+    template.next_run = nextCronRun(template.schedule, template.timezone, now);
+    template.last_enqueued = runAt;
+    await env.MEMORY.put(id, JSON.stringify(template));
+    await log(env, 'invoice', `Queued recurring invoice: ${template.name} (${runAt})`);
+  }
+}
+
+// Queue side: create the invoice, archive its PDF to R2 and confirm on Telegram.
+// The created invoice id is remembered per run so a retried job doesn't issue a duplicate.
+async function issueInvoiceFromTemplate(env, job) {
+  if (!env.FAKTUROWNIA_USER || !env.FAKTUROWNIA_TOKEN) throw new Error('Fakturownia not configured');
+  const template = await env.MEMORY.get(job.template_id, 'json');
+  if (!template) {
+    await log(env, 'invoice', `Template ${job.template_id} no longer exists`);
+    return;
+  }
+
+  const runKey = `invoice_run:${job.template_id.replace('invoice_template:', '')}:${job.run_at}`;
+  let invoice = await env.MEMORY.get(runKey, 'json');
+  if (!invoice) {
+    const { ok, status, data } = await createFakturowniaInvoice(env, buildTemplateInvoice(template, job.run_at));
+    if (!ok) throw new Error(`Fakturownia returned ${status}: ${JSON.stringify(data).slice(0, 200)}`);
+    invoice = { id: data.id, number: data.number, price_gross: data.price_gross, currency: data.currency, buyer_name: data.buyer_name };
+    await env.MEMORY.put(runKey, JSON.stringify(invoice), { expirationTtl: 86400 * 30 });
+  }
+
+  let pdfKey = null;
+  if (env.STORAGE) {
+    const response = await fakturowniaFetch(env, `/invoices/${invoice.id}.pdf`);
+    if (!response.ok) throw new Error(`PDF download failed: ${response.status}`);
+    pdfKey = `invoices/${String(job.run_at).slice(0, 4)}/${String(invoice.number || invoice.id).replace(/[^\w.-]+/g, '_')}.pdf`;
+    await env.STORAGE.put(pdfKey, await response.arrayBuffer(), {
+      httpMetadata: { contentType: 'application/pdf' },
+      customMetadata: { invoice_id: String(invoice.id), template: job.template_id },
+    });
+  }
+
+  template.last_run = job.run_at;
+  template.last_invoice = { ...invoice, pdf: pdfKey, issued: new Date().toISOString() };
+  await env.MEMORY.put(job.template_id, JSON.stringify(template));
+  await notify(env, 'invoice', 'info', `🧾 Invoice <b>${escapeHtml(invoice.number || invoice.id)}</b> issued for ${escapeHtml(invoice.buyer_name || template.client.buyer_name || 'client')}: ${invoice.price_gross ?? '?'} ${invoice.currency || template.currency} (${escapeHtml(template.name)})`);
+  await log(env, 'invoice', `Issued ${invoice.number || invoice.id} from ${template.name}`);
+  return template.last_invoice;
+}
+
+// ==================== D1 SCHEMA ====================
+
+// Ordered migrations for the tables this worker owns. Applied ids are recorded in
+// schema_migrations; append new entries, never edit applied ones.
+const D1_MIGRATIONS = [
+  {
+    id: 1,
+    name: 'tasks',
+    sql: [
+      `CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL DEFAULT 'pending',
+        priority TEXT NOT NULL DEFAULT 'normal',
+        tags TEXT NOT NULL DEFAULT '[]',
+        due TEXT,
+        webhook TEXT,
+        created TEXT NOT NULL,
+        updated TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks (status)',
+      'CREATE INDEX IF NOT EXISTS idx_tasks_due ON tasks (due)',
+    ],
+  },
+  {
+    id: 2,
+    name: 'task_lifecycle',
+    sql: [
+      'ALTER TABLE tasks ADD COLUMN parent_id TEXT',
+      'CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks (parent_id)',
+      `CREATE TABLE IF NOT EXISTS task_dependencies (
+        task_id TEXT NOT NULL,
+        depends_on TEXT NOT NULL,
+        created TEXT NOT NULL,
+        PRIMARY KEY (task_id, depends_on)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_task_dependencies_on ON task_dependencies (depends_on)',
+      `CREATE TABLE IF NOT EXISTS task_transitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        note TEXT,
+        created TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_task_transitions_task ON task_transitions (task_id)',
+    ],
+  },
+  {
+    id: 3,
+    name: 'task_dispatch',
+    sql: [
+      `CREATE TABLE IF NOT EXISTS task_dispatch (
+        task_id TEXT PRIMARY KEY,
+        task_type TEXT NOT NULL,
+        model TEXT NOT NULL,
+        provider TEXT,
+        tier TEXT,
+        state TEXT NOT NULL DEFAULT 'queued',
+        worker TEXT,
+        lease_expires INTEGER,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        result TEXT,
+        error TEXT,
+        enqueued_at TEXT NOT NULL,
+        claimed_at TEXT,
+        completed_at TEXT,
+        updated TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_task_dispatch_state ON task_dispatch (state, lease_expires)',
+      // analytics predates the migrations; make sure it exists before extending it
+      `CREATE TABLE IF NOT EXISTS analytics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT,
+        model TEXT,
+        tokens_in INTEGER,
+        tokens_out INTEGER,
+        cost REAL,
+        task_type TEXT,
+        success INTEGER,
+        created_at TEXT DEFAULT (datetime('now'))
+      )`,
+      'ALTER TABLE analytics ADD COLUMN task_id TEXT',
+      'CREATE INDEX IF NOT EXISTS idx_analytics_task ON analytics (task_id)',
+    ],
+  },
+  {
+    id: 4,
+    name: 'search_index',
+    sql: [
+      `CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+        entity_type UNINDEXED,
+        entity_id UNINDEXED,
+        title,
+        body,
+        tags,
+        tag_list UNINDEXED,
+        created UNINDEXED,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )`,
+    ],
+  },
+  {
+    id: 5,
+    name: 'tasks_notion',
+    sql: [
+      'ALTER TABLE tasks ADD COLUMN notion_page_id TEXT',
+      'ALTER TABLE tasks ADD COLUMN notion_edited_at TEXT',
+      'ALTER TABLE tasks ADD COLUMN notion_synced_at TEXT',
+      'CREATE INDEX IF NOT EXISTS idx_tasks_notion_page ON tasks (notion_page_id)',
+    ],
+  },
+  {
+    id: 6,
+    name: 'queue_jobs',
+    sql: [
+      `CREATE TABLE IF NOT EXISTS queue_jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        last_error TEXT,
+        result TEXT,
+        enqueued_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT,
+        updated TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_queue_jobs_status ON queue_jobs (status, updated)',
+      'CREATE INDEX IF NOT EXISTS idx_queue_jobs_type ON queue_jobs (type, enqueued_at)',
+    ],
+  },
+  {
+    id: 7,
+    name: 'schedules',
+    sql: [
+      `CREATE TABLE IF NOT EXISTS schedules (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        cron TEXT NOT NULL,
+        timezone TEXT NOT NULL,
+        job_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        next_run TEXT,
+        last_run TEXT,
+        last_job_id TEXT,
+        run_count INTEGER NOT NULL DEFAULT 0,
+        created TEXT NOT NULL,
+        updated TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_schedules_due ON schedules (enabled, next_run)',
+    ],
+  },
+  {
+    id: 8,
+    name: 'monitors',
+    sql: [
+      `CREATE TABLE IF NOT EXISTS monitors (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        method TEXT NOT NULL DEFAULT 'GET',
+        expected_status INTEGER,
+        expected_body TEXT,
+        latency_threshold_ms INTEGER,
+        interval_seconds INTEGER NOT NULL DEFAULT 300,
+        timeout_ms INTEGER NOT NULL DEFAULT 10000,
+        public INTEGER NOT NULL DEFAULT 1,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        state TEXT NOT NULL DEFAULT 'unknown',
+        last_checked TEXT,
+        next_check TEXT,
+        created TEXT NOT NULL,
+        updated TEXT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS monitor_checks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        monitor_id TEXT NOT NULL,
+        checked_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        http_status INTEGER,
+        latency_ms INTEGER,
+        error TEXT
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_monitor_checks_monitor ON monitor_checks (monitor_id, checked_at)',
+      // The VPS probe that used to be hard-coded in the cron
+      `INSERT OR IGNORE INTO monitors (id, name, url, method, interval_seconds, timeout_ms, created, updated)
+       VALUES ('vps', 'OpenClaw VPS', 'http://161.97.121.62:18799/health', 'GET', 300, 10000,
+               strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`,
+    ],
+  },
+  {
+    id: 9,
+    name: 'monitor_alerting',
+    sql: [
+      'ALTER TABLE monitors ADD COLUMN failure_threshold INTEGER NOT NULL DEFAULT 2',
+      'ALTER TABLE monitors ADD COLUMN reminder_minutes INTEGER DEFAULT 60',
+      'ALTER TABLE monitors ADD COLUMN consecutive_failures INTEGER NOT NULL DEFAULT 0',
+      'ALTER TABLE monitors ADD COLUMN failing_since TEXT',
+      'ALTER TABLE monitors ADD COLUMN silenced_until TEXT',
+      'ALTER TABLE monitor_checks ADD COLUMN maintenance INTEGER NOT NULL DEFAULT 0',
+      `CREATE TABLE IF NOT EXISTS incidents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        monitor_id TEXT NOT NULL,
+        monitor_name TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        duration_seconds INTEGER,
+        cause TEXT,
+        last_error TEXT,
+        failures INTEGER NOT NULL DEFAULT 0,
+        alerted_at TEXT,
+        last_reminder_at TEXT,
+        reminders INTEGER NOT NULL DEFAULT 0,
+        acknowledged_at TEXT,
+        acknowledged_by TEXT,
+        note TEXT
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_incidents_monitor ON incidents (monitor_id, ended_at)',
+      'CREATE INDEX IF NOT EXISTS idx_incidents_started ON incidents (started_at)',
+      `CREATE TABLE IF NOT EXISTS maintenance_windows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        monitor_id TEXT,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        reason TEXT,
+        created_by TEXT,
+        created TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_maintenance_windows_end ON maintenance_windows (ends_at)',
+    ],
+  },
+  {
+    id: 10,
+    name: 'notification_deliveries',
+    sql: [
+      `CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel_id TEXT,
+        channel_name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        category TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        message TEXT,
+        success INTEGER NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        response_ms INTEGER,
+        created TEXT NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_notification_deliveries_channel ON notification_deliveries (channel_id, id)',
+    ],
+  },
+  {
+    id: 11,
+    name: 'budgets',
+    sql: [
+      'CREATE INDEX IF NOT EXISTS idx_analytics_created ON analytics (created_at)',
+      `CREATE TABLE IF NOT EXISTS budget_alerts (
+        budget_id TEXT NOT NULL,
+        period_start TEXT NOT NULL,
+        threshold INTEGER NOT NULL,
+        spent REAL NOT NULL,
+        sent_at TEXT NOT NULL,
+        PRIMARY KEY (budget_id, period_start, threshold)
+      )`,
+    ],
+  },
+  {
+    id: 12,
+    name: 'incidents_one_open',
+    sql: [
+      // Keep only the newest open incident per monitor before enforcing it
+      `UPDATE incidents SET ended_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+         duration_seconds = CAST(ROUND((julianday('now') - julianday(started_at)) * 86400) AS INTEGER)
+       WHERE ended_at IS NULL AND id NOT IN (SELECT MAX(id) FROM incidents WHERE ended_at IS NULL GROUP BY monitor_id)`,
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_incidents_open ON incidents (monitor_id) WHERE ended_at IS NULL',
+    ],
+  },
+];
+
+let schemaReady = null;
+
+// Runs pending migrations once per isolate
+async function ensureSchema(env) {
+  if (!env.DB) return;
+  if (!schemaReady) {
+    schemaReady = applyMigrations(env).catch(e => {
+      schemaReady = null; // retry on the next request
+      throw e;
+    });
+  }
+  await schemaReady;
+}
+
+async function applyMigrations(env) {
+  await env.DB.prepare(
+    'CREATE TABLE IF NOT EXISTS schema_migrations (id INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)'
+  ).run();
+  const applied = await env.DB.prepare('SELECT id FROM schema_migrations').all();
+  const done = new Set(applied.results.map(r => r.id));
+
+  for (const migration of D1_MIGRATIONS.filter(m => !done.has(m.id))) {
+    // SQLite has no ADD COLUMN IF NOT EXISTS: skip columns a partial or manual run already added
+    const statements = [];
+    for (const sql of migration.sql) {
+      const addColumn = sql.match(/^ALTER TABLE (\w+) ADD COLUMN (\w+)/);
+      if (addColumn) {
+        const columns = await env.DB.prepare(`PRAGMA table_info(${addColumn[1]})`).all();
+        if (columns.results.some(c => c.name === addColumn[2])) continue;
+      }
+      statements.push(env.DB.prepare(sql));
+    }
+    await env.DB.batch([
+      ...statements,
+      env.DB.prepare('INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)')
+        .bind(migration.id, migration.name, new Date().toISOString()),
+    ]);
+    console.log(`Applied D1 migration ${migration.id}: ${migration.name}`);
+  }
+}
+
+// Helper functions
+function json(data, corsHeaders, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+async function log(env, category, message) {
+  if (!env.MEMORY) return;
+  const id = `log:${category}:${Date.now()}`;
+  await env.MEMORY.put(id, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    category,
+    message,
+  }), { expirationTtl: 86400 * 7 }); // 7 days
+}
+
+// ==================== API KEY AUTH ====================
+
+// KV records holding secrets - only reachable through /memory with the admin scope
+const RESERVED_KV_PREFIXES = ['apikey:', 'webhook_source:', 'subscription:', 'channel:'];
+// Reserved keys are not versioned, but history archived before that stays admin-only as well
+const RESERVED_HISTORY_PREFIXES = RESERVED_KV_PREFIXES.map(prefix => `memory_history:${encodeURIComponent(prefix)}`);
+
+// Routes reachable without an API key
+const PUBLIC_ROUTES = [
+  { method: 'GET', pattern: /^\/$/ },
+  { method: 'GET', pattern: /^\/dashboard$/ },
+  { method: 'GET', pattern: /^\/health$/ },
+  { method: 'GET', pattern: /^\/stats$/ },
+  { method: 'GET', pattern: /^\/api\/ping$/ },
+  { method: 'GET', pattern: /^\/api\/health\// },
+  { method: 'GET', pattern: /^\/status$/ }, // uptime page
+  { method: 'POST', pattern: /^\/webhook$/ },
+  { method: 'POST', pattern: /^\/telegram\/webhook$/ }, // checked against TELEGRAM_WEBHOOK_SECRET
+  { method: 'GET', pattern: /^\/usage(\/|$)/ }, // dashboard feed
+  { method: 'GET', pattern: /^\/notes\/view$/ }, // page only; it calls /notes with the user's key
+];
+
+// Scope required per route family (first match wins, method '*' matches any).
+// Routes that are neither public nor listed here require the admin scope.
+const ROUTE_SCOPES = [
+  { method: '*', pattern: new RegExp(`^/memory/(${[...RESERVED_KV_PREFIXES, ...RESERVED_HISTORY_PREFIXES].join('|')})`), scope: 'admin' },
+  { method: 'GET', pattern: /^\/webhooks(\/|$)/, scope: 'webhooks:read' },
+  { method: 'POST', pattern: /^\/webhooks\/[^/]+\/replay$/, scope: 'webhooks:write' },
+  { method: 'GET', pattern: /^\/api\/webhook-sources$/, scope: 'webhooks:read' },
+  { method: '*', pattern: /^\/api\/webhook-sources\//, scope: 'webhooks:write' },
+  { method: 'GET', pattern: /^\/api\/webhook-rules$/, scope: 'webhooks:read' },
+  { method: '*', pattern: /^\/api\/webhook-rules(\/|$)/, scope: 'webhooks:write' },
+  { method: 'GET', pattern: /^\/memory(\/|$)/, scope: 'memory:read' },
+  { method: '*', pattern: /^\/memory(\/|$)/, scope: 'memory:write' },
+  { method: 'GET', pattern: /^\/tasks(\/|$)/, scope: 'tasks:read' },
+  { method: '*', pattern: /^\/tasks(\/|$)/, scope: 'tasks:write' },
+  { method: 'GET', pattern: /^\/notes(\/|$)/, scope: 'notes:read' },
+  { method: '*', pattern: /^\/notes(\/|$)/, scope: 'notes:write' },
+  { method: 'GET', pattern: /^\/logs$/, scope: 'logs:read' },
+  { method: 'GET', pattern: /^\/config$/, scope: 'config:read' },
+  { method: '*', pattern: /^\/config$/, scope: 'config:write' },
+  { method: 'GET', pattern: /^\/api\/routing$/, scope: 'config:read' },
+  { method: '*', pattern: /^\/api\/routing$/, scope: 'config:write' },
+  { method: 'POST', pattern: /^\/api\/route$/, scope: 'routing' },
+  { method: 'POST', pattern: /^\/proxy$/, scope: 'proxy' },
+  { method: 'POST', pattern: /^\/usage$/, scope: 'usage:write' },
+  { method: '*', pattern: /^\/api\/budgets(\/|$)/, scope: 'budgets' },
+  { method: '*', pattern: /^\/api\/queue(\/|$)/, scope: 'queue' },
+  { method: '*', pattern: /^\/api\/schedules(\/|$)/, scope: 'queue' },
+  { method: '*', pattern: /^\/api\/monitors(\/|$)/, scope: 'monitors' },
+  { method: '*', pattern: /^\/api\/(incidents|maintenance)(\/|$)/, scope: 'monitors' },
+  { method: '*', pattern: /^\/api\/notifications(\/|$)/, scope: 'notifications' },
+  { method: '*', pattern: /^\/api\/dispatch(\/|$)/, scope: 'dispatch' },
+  { method: 'GET', pattern: /^\/api\/search$/, scope: 'search' },
+  { method: '*', pattern: /^\/api\/subscriptions(\/|$)/, scope: 'subscriptions' },
+  { method: '*', pattern: /^\/api\/notion\//, scope: 'notion' },
+  { method: '*', pattern: /^\/api\/storage\/backups\//, scope: 'admin' }, // snapshots include secrets
+  { method: '*', pattern: /^\/api\/storage(\/|$)/, scope: 'storage' },
+  { method: '*', pattern: /^\/api\/invoices(\/|$)/, scope: 'invoices' },
+  { method: '*', pattern: /^\/api\/invoice-templates(\/|$)/, scope: 'invoices' },
+];
+
+const API_KEY_LAST_USED_INTERVAL = 5 * 60 * 1000; // Throttle last_used writes to spare KV
+
+function getRequiredScope(path, method) {
+  let decoded = path;
+  try { decoded = decodeURIComponent(path); } catch {}
+  const matches = route => (route.method === '*' || route.method === method) && route.pattern.test(decoded);
+  if (PUBLIC_ROUTES.some(matches)) return null;
+  const route = ROUTE_SCOPES.find(matches);
+  return route ? route.scope : 'admin';
+}
+
+// A key grants a scope by exact match, by its family ("tasks" covers "tasks:write") or via "*"
+function hasScope(granted, required) {
+  return granted.includes('*') || granted.includes(required) || granted.includes(required.split(':')[0]);
+}
+
+function isKnownScope(scope) {
+  if (scope === '*' || scope === 'admin') return true;
+  return ROUTE_SCOPES.some(r => r.scope !== 'admin' && (r.scope === scope || r.scope.split(':')[0] === scope));
+}
+
+async function authenticate(request, env, ctx) {
+  const authorization = request.headers.get('Authorization') || '';
+  const presented = request.headers.get('X-Api-Key') ||
+    (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+  if (!presented) return { error: 'API key required' };
+
+  // The API_KEY secret acts as the bootstrap admin key
+  const hash = await sha256Hex(presented);
+  if (env.API_KEY && hash === await sha256Hex(env.API_KEY)) {
+    return { key: { id: 'master', name: 'master', scopes: ['*'] } };
+  }
+
+  const match = presented.match(/^arni_([a-f0-9]{12})_[a-f0-9]{48}$/);
+  if (!match || !env.MEMORY) return { error: 'Invalid API key' };
+  const raw = await env.MEMORY.get(`apikey:${match[1]}`);
+  if (!raw) return { error: 'Invalid API key' };
+
+  const key = JSON.parse(raw);
+  if (key.hash !== hash) return { error: 'Invalid API key' };
+  if (key.revoked) return { error: 'API key revoked' };
+  if (key.expires && Date.parse(key.expires) <= Date.now()) return { error: 'API key expired' };
+
+  if (!key.last_used || Date.now() - Date.parse(key.last_used) > API_KEY_LAST_USED_INTERVAL) {
+    key.last_used = new Date().toISOString();
+    ctx.waitUntil(env.MEMORY.put(`apikey:${key.id}`, JSON.stringify(key)));
+  }
+  return { key };
+}
+
+async function createApiKey(env, { name, scopes, expires, created_by }) {
+  const id = randomHex(6);
+  const key = `arni_${id}_${randomHex(24)}`;
+  const record = {
+    id,
+    name,
+    scopes,
+    hash: await sha256Hex(key),
+    created: new Date().toISOString(),
+    created_by,
+    expires,
+    last_used: null,
+    revoked: false,
+  };
+  await env.MEMORY.put(`apikey:${id}`, JSON.stringify(record));
+  return { key, record };
+}
+
+function publicApiKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return toHex(digest);
+}
+
+function randomHex(bytes) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+async function hmac(secret, message, algorithm = 'SHA-256') {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: algorithm }, false, ['sign']
+  );
+  return crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+}
+
+// Constant-time string comparison for signatures
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// ==================== WEBHOOK RULES ====================
+
+const WEBHOOK_RULE_OPS = ['eq', 'ne', 'contains', 'regex', 'gt', 'lt', 'exists', 'not_exists'];
+const WEBHOOK_RULE_ACTIONS = ['task', 'job', 'alert'];
+
+function validateWebhookRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'body must be a JSON object';
+  if (rule.source !== undefined && typeof rule.source !== 'string') return 'source must be a string';
+  if (rule.headers !== undefined && (typeof rule.headers !== 'object' || Array.isArray(rule.headers))) {
+    return 'headers must be an object of header name to value';
+  }
+  if (rule.allow_unverified !== undefined && typeof rule.allow_unverified !== 'boolean') return 'allow_unverified must be a boolean';
+  if (rule.conditions !== undefined && !Array.isArray(rule.conditions)) return 'conditions must be an array';
+  for (const [i, c] of (rule.conditions || []).entries()) {
+    if (!c || typeof c !== 'object') return `conditions[${i}] must be an object`;
+    if (typeof c.path !== 'string' || !c.path.startsWith('$')) return `conditions[${i}].path must be a JSONPath starting with $`;
+    if (!WEBHOOK_RULE_OPS.includes(c.op || 'eq')) return `conditions[${i}].op must be one of: ${WEBHOOK_RULE_OPS.join(', ')}`;
+    if (c.op === 'regex') {
+      try { new RegExp(c.value); } catch { return `conditions[${i}].value is not a valid regex`; }
+    }
+  }
+  if (!Array.isArray(rule.actions) || !rule.actions.length) return 'actions must be a non-empty array';
+  for (const [i, a] of rule.actions.entries()) {
+    if (!a || typeof a !== 'object') return `actions[${i}] must be an object`;
+    if (!WEBHOOK_RULE_ACTIONS.includes(a.type)) return `actions[${i}].type must be one of: ${WEBHOOK_RULE_ACTIONS.join(', ')}`;
+    if (a.type === 'task' && !a.title) return `actions[${i}].title required`;
+    if (a.type === 'task' && a.priority !== undefined && !TASK_PRIORITIES.includes(a.priority)) {
+      return `actions[${i}].priority must be one of: ${TASK_PRIORITIES.join(', ')}`;
+    }
+    if (a.type === 'job' && !a.job) return `actions[${i}].job required`;
+    if (a.type === 'job' && !JOB_TYPES[a.job]) return `actions[${i}].job must be one of: ${Object.keys(JOB_TYPES).join(', ')}`;
+    if (a.type === 'alert' && !a.template) return `actions[${i}].template required`;
+    if (a.type === 'alert' && a.severity !== undefined && !NOTIFY_SEVERITIES.includes(a.severity)) {
+      return `actions[${i}].severity must be one of: ${NOTIFY_SEVERITIES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+async function getWebhookRules(env) {
+  const entries = await listAllKV(env, 'webhook_rule:');
+  return entries.map(e => ({ id: e.name, ...e.value }));
+}
+
+// Minimal JSONPath: $.a.b[0].c and $['a b']
+function jsonPath(obj, path) {
+  const tokens = path.replace(/^\$/, '').match(/[^.[\]'"]+|\[\d+\]/g) || [];
+  let current = obj;
+  for (const token of tokens) {
+    if (current === null || current === undefined) return undefined;
+    current = current[token.startsWith('[') ? parseInt(token.slice(1)) : token];
+  }
+  return current;
+}
+
+function matchesCondition(data, condition) {
+  const actual = jsonPath(data, condition.path);
+  const expected = condition.value;
+  switch (condition.op || 'eq') {
+    case 'eq': return actual === expected || (actual !== undefined && String(actual) === String(expected));
+    case 'ne': return actual === undefined || String(actual) !== String(expected);
+    case 'contains':
+      return Array.isArray(actual) ? actual.includes(expected) : typeof actual === 'string' && actual.includes(expected);
+    case 'regex': return actual !== undefined && new RegExp(expected).test(String(actual));
+    case 'gt': return Number(actual) > Number(expected);
+    case 'lt': return Number(actual) < Number(expected);
+    case 'exists': return actual !== undefined && actual !== null;
+    case 'not_exists': return actual === undefined || actual === null;
+    default: return false;
+  }
+}
+
+// Anyone can post an unsigned delivery, so rules only act on verified ones unless they opt out
+function matchesWebhookRule(rule, delivery) {
+  if (!rule.enabled) return false;
+  if (!delivery.verified && !rule.allow_unverified) return false;
+  if (rule.source && rule.source !== '*' && rule.source !== delivery.source) return false;
+  for (const [name, value] of Object.entries(rule.headers || {})) {
+    if (delivery.headers[name.toLowerCase()] !== value) return false;
+  }
+  return (rule.conditions || []).every(c => matchesCondition(delivery.data, c));
+}
+
+// Fill {{$.path}}, {{source}} and {{id}} placeholders from a delivery
+function renderTemplate(template, context) {
+  return String(template).replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, expr) => {
+    const value = expr.startsWith('$') ? jsonPath(context.data, expr) : context[expr];
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+function renderPayload(payload, context) {
+  if (typeof payload === 'string') return renderTemplate(payload, context);
+  if (Array.isArray(payload)) return payload.map(v => renderPayload(v, context));
+  if (payload && typeof payload === 'object') {
+    return Object.fromEntries(Object.entries(payload).map(([k, v]) => [k, renderPayload(v, context)]));
+  }
+  return payload;
+}
+
+// Run every matching rule's actions; failures are recorded, never thrown
+async function applyWebhookRules(env, webhookId, delivery) {
+  if (!env.MEMORY) return [];
+  const rules = await getWebhookRules(env);
+  const context = { id: webhookId, source: delivery.source, data: delivery.data };
+  const matched = [];
+
+  for (const rule of rules.filter(r => matchesWebhookRule(r, delivery))) {
+    const results = [];
+    for (const action of rule.actions) {
+      try {
+        if (action.type === 'task') {
+          const { id } = await createTask(env, {
+            title: renderTemplate(action.title, context),
+            description: action.description ? renderTemplate(action.description, context) : '',
+            priority: action.priority,
+            webhook: webhookId,
+          }, `webhook-rule:${rule.name}`);
+          results.push({ action: 'task', task_id: id });
+        } else if (action.type === 'job') {
+          if (!env.JOBS_QUEUE) throw new Error('Queue not configured');
+          const queued = await enqueueJob(env, action.job, { ...renderPayload(action.payload || {}, context), webhook_id: webhookId });
+          if (queued.error) throw new Error(queued.error);
+          results.push({ action: 'job', job: action.job, job_id: queued.id });
+        } else if (action.type === 'alert') {
+          const deliveries = await notify(env, 'webhook', action.severity || 'warning', renderTemplate(action.template, context));
+          results.push({ action: 'alert', sent: deliveries.some(d => d.success) });
+        }
+      } catch (e) {
+        results.push({ action: action.type, error: e.message });
+      }
+    }
+    matched.push({ rule_id: rule.id, name: rule.name, results });
+    await log(env, 'webhook', `Rule matched: ${rule.name} (${webhookId})`);
+  }
+
+  return matched;
+}
+
+// ==================== MEMORY VERSIONING ====================
+
+// Values written through /memory carry { version, etag, updated } as KV metadata.
+// Checks are read-then-write, so they narrow but can't fully close races under
+// KV's eventual consistency.
+
+async function getMemoryEntry(env, key) {
+  const { value, metadata } = await env.MEMORY.getWithMetadata(key);
+  if (value === null) return null;
+  const version = metadata?.version || 0; // written before versioning
+  return {
+    value,
+    version,
+    etag: metadata?.etag || await memoryEtag(version, value),
+    updated: metadata?.updated || null,
+  };
+}
+
+async function memoryEtag(version, value) {
+  return `"${version}-${(await sha256Hex(value)).slice(0, 16)}"`;
+}
+
+function parseMaybeJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+// Returns an error message when If-Match / If-None-Match don't hold, otherwise null
+function checkPreconditions(request, current) {
+  const ifMatch = request.headers.get('If-Match');
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  const etags = header => header.split(',').map(t => t.trim().replace(/^W\//, ''));
+
+  if (ifMatch) {
+    if (!current) return 'Precondition failed: key does not exist';
+    if (ifMatch.trim() !== '*' && !etags(ifMatch).includes(current.etag)) return 'Precondition failed: value has changed';
+  }
+  if (ifNoneMatch && current) {
+    if (ifNoneMatch.trim() === '*') return 'Precondition failed: key already exists';
+    if (etags(ifNoneMatch).includes(current.etag)) return 'Precondition failed: value matches';
+  }
+  return null;
+}
+
+// History keys encode the key so "a" never lists the history of "a:b"
+function memoryHistoryPrefix(key) {
+  return `memory_history:${encodeURIComponent(key)}:`;
+}
+
+async function getMemoryHistory(env, key) {
+  const entries = await listAllKV(env, memoryHistoryPrefix(key));
+  return entries.map(e => e.value); // oldest first (versions are zero-padded)
+}
+
+// Reserved keys hold secrets: copying them under memory_history: would expose them to any memory key
+async function archiveMemoryVersion(env, key, entry) {
+  if (isReservedKey(key)) return;
+  const prefix = memoryHistoryPrefix(key);
+  await env.MEMORY.put(prefix + String(entry.version).padStart(10, '0'), JSON.stringify(entry));
+
+  const keep = parseInt(env.MEMORY_HISTORY_LIMIT) || 10;
+  const list = await env.MEMORY.list({ prefix });
+  const excess = list.keys.slice(0, Math.max(0, list.keys.length - keep));
+  await Promise.all(excess.map(k => env.MEMORY.delete(k.name)));
+}
+
+async function putMemoryEntry(env, key, value, current, options) {
+  if (current) await archiveMemoryVersion(env, key, current);
+
+  // Continue numbering after deleted versions so history keys never collide
+  const history = await env.MEMORY.list({ prefix: memoryHistoryPrefix(key) });
+  const lastArchived = history.keys.length ? parseInt(history.keys[history.keys.length - 1].name.split(':').pop()) : 0;
+  const version = Math.max(current?.version || 0, lastArchived) + 1;
 
-    } catch (error) {
-      await log(env, 'error', error.message);
-      return json({ error: error.message, stack: error.stack }, corsHeaders, 500);
+  const etag = await memoryEtag(version, value);
+  const updated = new Date().toISOString();
+  await env.MEMORY.put(key, value, { ...options, metadata: { version, etag, updated } });
+  return { version, etag, updated };
+}
+
+// ==================== MEMORY EXPORT/IMPORT ====================
+
+// Each exported key is one KV read and each imported line up to two operations, so both are
+// paged to stay within the per-invocation KV operation limit
+const MEMORY_EXPORT_PAGE = 500;
+const MEMORY_IMPORT_MAX_LINES = 400;
+
+function isReservedKey(key) {
+  return [...RESERVED_KV_PREFIXES, ...RESERVED_HISTORY_PREFIXES].some(prefix => key.startsWith(prefix));
+}
+
+// One NDJSON line for a KV list entry and its value
+function memoryExportLine(k, value) {
+  const ttl = k.expiration ? Math.max(0, k.expiration - Math.floor(Date.now() / 1000)) : null;
+  return JSON.stringify({ key: k.name, value, metadata: k.metadata ?? null, ttl }) + '\n';
+}
+
+async function writeMemoryExport(env, keys, includeReserved, writable) {
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  try {
+    for (const k of keys) {
+      if (!includeReserved && isReservedKey(k.name)) continue;
+      const value = await env.MEMORY.get(k.name);
+      if (value === null) continue; // expired or deleted mid-export
+      await writer.write(encoder.encode(memoryExportLine(k, value)));
     }
-  },
+    await writer.close();
+  } catch (e) {
+    console.error('Memory export failed:', e);
+    await writer.abort(e);
+  }
+}
 
-  // Cron handler - runs every hour
-  async scheduled(event, env, ctx) {
-    const now = new Date().toISOString();
-    await log(env, 'cron', `Scheduled run at ${now}`);
-    await incrementStat(env, 'cron_runs');
+async function importMemory(env, ndjson, { mode, dryRun, includeReserved }) {
+  const report = { dry_run: dryRun, mode, total: 0, written: 0, skipped: 0, invalid: 0, written_keys: [], skipped_keys: [], errors: [] };
+  const reportKey = (list, key) => { if (list.length < 1000) list.push(key); };
+  const fail = (line, error) => {
+    report.invalid++;
+    if (report.errors.length < 100) report.errors.push({ line, error });
+  };
 
-    // Health check OpenClaw VPS
+  const lines = ndjson.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    report.total++;
+
+    let entry;
     try {
-      const vpsResponse = await fetch('http://161.97.121.62:18799/health', {
-        signal: AbortSignal.timeout(10000)
-      });
+      entry = JSON.parse(lines[i]);
+    } catch {
+      fail(i + 1, 'invalid JSON');
+      continue;
+    }
+    if (typeof entry.key !== 'string' || !entry.key) { fail(i + 1, 'key must be a non-empty string'); continue; }
+    if (typeof entry.value !== 'string') { fail(i + 1, 'value must be a string'); continue; }
+    if (entry.ttl !== null && entry.ttl !== undefined && !(Number.isInteger(entry.ttl) && entry.ttl >= 0)) {
+      fail(i + 1, 'ttl must be a non-negative integer or null');
+      continue;
+    }
+    if (!includeReserved && isReservedKey(entry.key)) { fail(i + 1, 'reserved key requires the admin scope'); continue; }
 
-      if (!vpsResponse.ok) {
-        await sendTelegramAlert(env, '🚨 OpenClaw VPS health check failed! Status: ' + vpsResponse.status);
-        await log(env, 'health', `VPS DOWN - status ${vpsResponse.status}`);
-      } else {
-        await log(env, 'health', 'VPS OK');
-      }
-    } catch (e) {
-      await sendTelegramAlert(env, '🚨 OpenClaw VPS unreachable! Error: ' + e.message);
-      await log(env, 'health', `VPS UNREACHABLE - ${e.message}`);
+    if (entry.ttl === 0) {
+      report.skipped++; // already expired at export time
+      reportKey(report.skipped_keys, entry.key);
+      continue;
+    }
+    if (mode === 'skip' && await env.MEMORY.get(entry.key) !== null) {
+      report.skipped++;
+      reportKey(report.skipped_keys, entry.key);
+      continue;
     }
 
-    // Cleanup old logs (keep 7 days)
-    if (env.DB) {
-      try {
-        await env.DB.prepare(
-          "DELETE FROM logs WHERE created_at < datetime('now', '-7 days')"
-        ).run();
-      } catch (e) {
-        console.error('Cleanup failed:', e);
-      }
+    if (!dryRun) {
+      const options = {};
+      if (entry.ttl) options.expirationTtl = Math.max(60, entry.ttl); // KV minimum
+      if (entry.metadata) options.metadata = entry.metadata;
+      await env.MEMORY.put(entry.key, entry.value, options);
     }
-  },
+    report.written++;
+    reportKey(report.written_keys, entry.key);
+  }
 
-  // Queue consumer handler
-  async queue(batch, env) {
-    for (const message of batch.messages) {
-      const job = message.body;
-      console.log(`Processing job: ${job.type}`);
+  return report;
+}
 
-      try {
-        switch (job.type) {
-          case 'notion-sync':
-            // Sync data with Notion
-            await log(env, 'queue', `Notion sync started: ${job.entity}`);
-            break;
-
-          case 'backup':
-            // Backup to R2
-            await log(env, 'queue', `Backup started: ${job.target}`);
-            break;
-
-          case 'invoice':
-            // Generate invoice in Fakturownia
-            await log(env, 'queue', `Invoice job: ${job.action}`);
-            break;
-
-          case 'alert':
-            // Send alert
-            await sendTelegramAlert(env, job.message);
-            await log(env, 'queue', `Alert sent: ${job.message.substring(0, 50)}`);
-            break;
-
-          default:
-            await log(env, 'queue', `Unknown job type: ${job.type}`);
-        }
-        message.ack();
-      } catch (e) {
-        console.error(`Job failed: ${e.message}`);
-        await log(env, 'queue', `Job failed: ${job.type} - ${e.message}`);
-        message.retry();
-      }
-    }
+// ==================== SUBSCRIPTIONS ====================
+
+const SUBSCRIPTION_EVENTS = ['task.created', 'task.status_changed', 'note.created', 'invoice.created', 'vps.health_changed', 'monitor.state_changed'];
+const SUBSCRIPTION_MAX_ATTEMPTS = 8;
+
+// Optional fields on create and update; the secret is fed to hmac() when delivering
+function validateSubscriptionFields(fields) {
+  if (fields.secret !== undefined && (typeof fields.secret !== 'string' || !fields.secret)) {
+    return { error: 'secret must be a non-empty string', field: 'secret' };
   }
-};
+  if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') return { error: 'enabled must be a boolean', field: 'enabled' };
+  return null;
+}
 
-// Send Telegram alert
-async function sendTelegramAlert(env, message) {
-  const TELEGRAM_BOT_TOKEN = env.TELEGRAM_BOT_TOKEN;
-  const TELEGRAM_CHAT_ID = '6616725127'; // Dawid
+async function getSubscriptions(env) {
+  const entries = await listAllKV(env, 'subscription:');
+  return entries.map(e => ({ id: e.name, ...e.value }));
+}
 
-  if (!TELEGRAM_BOT_TOKEN) {
-    console.error('No Telegram bot token configured');
-    return;
+// Queue one delivery per subscribed endpoint; never fails the caller
+async function emitEvent(env, event, data) {
+  if (!env.MEMORY || !env.JOBS_QUEUE) return;
+  try {
+    const subscriptions = (await getSubscriptions(env))
+      .filter(sub => sub.enabled && (sub.events.includes('*') || sub.events.includes(event)));
+    const payload = { event, timestamp: new Date().toISOString(), data };
+    for (const sub of subscriptions) {
+      await enqueueJob(env, 'webhook-delivery', {
+        subscription_id: sub.id,
+        delivery_id: `dlv_${Date.now()}_${randomHex(4)}`,
+        event,
+        payload,
+        attempt: 1,
+      });
+    }
+  } catch (e) {
+    console.error(`Event ${event} not emitted:`, e);
   }
+}
 
+// Exponential backoff: 30s, 1m, 2m, 4m ... capped at 1h
+function subscriptionRetryDelay(attempt) {
+  return Math.min(30 * 2 ** (attempt - 1), 3600);
+}
+
+async function deliverSubscriptionEvent(env, job) {
+  const raw = await env.MEMORY.get(job.subscription_id);
+  if (!raw) return; // unsubscribed since the event fired
+  const subscription = JSON.parse(raw);
+  if (!subscription.enabled) return;
+
+  const body = JSON.stringify({ id: job.delivery_id, ...job.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = toHex(await hmac(subscription.secret, `${timestamp}.${body}`));
+
+  const start = Date.now();
+  let status = null;
+  let error = null;
   try {
-    await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
+    const response = await fetch(subscription.url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: TELEGRAM_CHAT_ID,
-        text: message,
-        parse_mode: 'HTML'
-      })
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Arni-Webhooks/1.0',
+        'X-Arni-Event': job.event,
+        'X-Arni-Delivery': job.delivery_id,
+        'X-Arni-Signature': `t=${timestamp},v1=${signature}`,
+      },
+      body,
+      signal: AbortSignal.timeout(10000),
     });
+    status = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
   } catch (e) {
-    console.error('Telegram alert failed:', e);
+    error = e.message;
+  }
+
+  const willRetry = !!error && job.attempt < SUBSCRIPTION_MAX_ATTEMPTS;
+  const subId = job.subscription_id.replace('subscription:', '');
+  await env.MEMORY.put(`subscription_delivery:${subId}:${Date.now()}:${job.attempt}:${job.delivery_id}`, JSON.stringify({
+    delivery_id: job.delivery_id,
+    event: job.event,
+    attempt: job.attempt,
+    status_code: status,
+    response_ms: Date.now() - start,
+    success: !error,
+    error,
+    next_retry_seconds: willRetry ? subscriptionRetryDelay(job.attempt) : null,
+    timestamp: new Date().toISOString(),
+  }), { expirationTtl: 86400 * 7 }); // 7 days
+
+  if (willRetry) {
+    await enqueueJob(env, job.type, { ...job, attempt: job.attempt + 1 }, { delaySeconds: subscriptionRetryDelay(job.attempt) });
+  } else if (error) {
+    await log(env, 'subscription', `Delivery ${job.delivery_id} to ${subscription.url} gave up after ${job.attempt} attempts: ${error}`);
   }
 }
 
-// Helper functions
-function json(data, corsHeaders, status = 200) {
-  return new Response(JSON.stringify(data, null, 2), {
-    status,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders }
-  });
+// ==================== WEBHOOK STORAGE ====================
+
+// Accepts "webhook:<ts>:<source>" or the same without the prefix
+function webhookKey(id) {
+  const decoded = decodeURIComponent(id);
+  return decoded.startsWith('webhook:') ? decoded : `webhook:${decoded}`;
 }
 
-async function log(env, category, message) {
-  if (!env.MEMORY) return;
-  const id = `log:${category}:${Date.now()}`;
-  await env.MEMORY.put(id, JSON.stringify({
-    timestamp: new Date().toISOString(),
-    category,
-    message,
-  }), { expirationTtl: 86400 * 7 }); // 7 days
+// Null for keys that don't follow the webhook:<ts>:<source> layout
+function parseWebhookId(key) {
+  const [, ts, ...source] = key.split(':');
+  if (!/^\d{1,15}$/.test(ts || '')) return null;
+  return { timestamp: new Date(parseInt(ts)).toISOString(), source: source.join(':') };
+}
+
+// Headers worth passing on when forwarding a stored delivery
+function forwardableHeaders(headers = {}) {
+  const dropped = ['host', 'content-length', 'connection', 'accept-encoding', 'x-real-ip'];
+  return Object.fromEntries(Object.entries(headers).filter(([name]) =>
+    !dropped.includes(name) && !name.startsWith('cf-') && !name.startsWith('x-forwarded-')
+  ));
+}
+
+const WEBHOOK_SCAN_PAGES = 10; // KV list calls per request; a sparse filter returns a short page and a cursor
+
+// Page through webhook:<ts>:<source> keys filtered by source and time range.
+// Keys sort chronologically, so the shared digits of from/to narrow the KV prefix.
+// The cursor remembers the KV page and the offset inside it where the last page stopped.
+async function listWebhookKeys(env, { source, from, to, limit, cursor }) {
+  const fromDigits = String(from).padStart(13, '0');
+  const toDigits = String(to).padStart(13, '0');
+  let shared = 0;
+  while (shared < 13 && fromDigits[shared] === toDigits[shared]) shared++;
+  const prefix = 'webhook:' + toDigits.slice(0, shared);
+
+  let { kv, skip } = decodeCursor(cursor) || { kv: undefined, skip: 0 };
+  const keys = [];
+  for (let scanned = 0; scanned < WEBHOOK_SCAN_PAGES; scanned++) {
+    const list = await env.MEMORY.list({ prefix, cursor: kv, limit: 1000 });
+    for (let i = skip; i < list.keys.length; i++) {
+      const key = list.keys[i];
+      const parsed = parseWebhookId(key.name);
+      if (!parsed) continue;
+      const ts = Date.parse(parsed.timestamp);
+      if (ts < from || ts > to || (source && parsed.source !== source)) continue;
+      keys.push(key);
+      if (keys.length === limit) {
+        const more = i + 1 < list.keys.length || !list.list_complete;
+        return { keys, next_cursor: more ? encodeCursor({ kv, skip: i + 1 }) : null };
+      }
+    }
+    if (list.list_complete) return { keys, next_cursor: null };
+    kv = list.cursor;
+    skip = 0;
+  }
+  return { keys, next_cursor: encodeCursor({ kv, skip: 0 }) };
+}
+
+// ==================== PAGINATION ====================
+
+// KV-backed pages read every value with its own get, so they hold at most this many keys
+const KV_PAGE_MAX = 100;
+
+// One page of KV keys with their JSON values, in key order; next_cursor is null on the last page
+async function listKVPage(env, prefix, limit, cursor) {
+  const list = await env.MEMORY.list({ prefix, limit: Math.min(limit, KV_PAGE_MAX), cursor: cursor || undefined });
+  const entries = await Promise.all(
+    list.keys.map(async k => {
+      const val = await env.MEMORY.get(k.name);
+      return val ? { name: k.name, expiration: k.expiration, value: JSON.parse(val) } : null;
+    })
+  );
+  return { entries: entries.filter(Boolean), next_cursor: list.list_complete ? null : list.cursor };
+}
+
+// Every entry under a prefix, for internal scans (rules, subscriptions)
+async function listAllKV(env, prefix) {
+  const entries = [];
+  let cursor = null;
+  do {
+    const page = await listKVPage(env, prefix, KV_PAGE_MAX, cursor);
+    entries.push(...page.entries);
+    cursor = page.next_cursor;
+  } while (cursor);
+  return entries;
+}
+
+// D1 lists page newest-first by id: the cursor is the last id returned
+function parseIdCursor(cursor) {
+  if (!cursor) return Number.MAX_SAFE_INTEGER;
+  return /^\d+$/.test(cursor) ? parseInt(cursor, 10) : null;
+}
+
+function idCursor(rows, limit) {
+  return rows.length === limit ? String(rows[rows.length - 1].id) : null;
+}
+
+// Opaque cursors for lists that page by their own position
+function encodeCursor(state) {
+  return btoa(JSON.stringify(state));
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(atob(cursor));
+  } catch {
+    return null;
+  }
+}
+
+// Parse a ?limit= value; null when it isn't an integer in 1..max
+function parseLimit(value, fallback, max) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (!/^\d+$/.test(value)) return null;
+  const limit = parseInt(value, 10);
+  return limit >= 1 && limit <= max ? limit : null;
+}
+
+// ==================== WEBHOOK SIGNATURES ====================
+
+const WEBHOOK_SOURCE_TYPES = ['github', 'stripe', 'hmac'];
+
+// Source name from /api/webhook-sources/:name; null when empty or not valid percent-encoding
+function webhookSourceName(path) {
+  try {
+    return decodeURIComponent(path.replace('/api/webhook-sources/', '')) || null;
+  } catch {
+    return null;
+  }
+}
+
+async function verifyWebhookSignature(config, headers, body) {
+  switch (config.type) {
+    case 'github': {
+      // X-Hub-Signature-256: sha256=<hex HMAC of the raw body>
+      const signature = headers.get('X-Hub-Signature-256');
+      if (!signature) return { ok: false, reason: 'missing X-Hub-Signature-256' };
+      const expected = 'sha256=' + toHex(await hmac(config.secret, body));
+      return timingSafeEqual(signature, expected) ? { ok: true } : { ok: false, reason: 'signature mismatch' };
+    }
+
+    case 'stripe': {
+      // Stripe-Signature: t=<unix ts>,v1=<hex HMAC of "t.body">[,v1=...]
+      const header = headers.get('Stripe-Signature');
+      if (!header) return { ok: false, reason: 'missing Stripe-Signature' };
+      const parts = header.split(',').map(p => p.trim().split('='));
+      const timestamp = parseInt(parts.find(([k]) => k === 't')?.[1]);
+      const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+      if (!timestamp || !signatures.length) return { ok: false, reason: 'malformed Stripe-Signature' };
+      if (Math.abs(Date.now() / 1000 - timestamp) > (config.tolerance_seconds || 300)) {
+        return { ok: false, reason: 'timestamp outside tolerance' };
+      }
+      const expected = toHex(await hmac(config.secret, `${timestamp}.${body}`));
+      return signatures.some(sig => timingSafeEqual(sig, expected)) ? { ok: true } : { ok: false, reason: 'signature mismatch' };
+    }
+
+    case 'hmac': {
+      const signature = headers.get(config.header);
+      if (!signature) return { ok: false, reason: `missing ${config.header}` };
+      const mac = await hmac(config.secret, body, config.algorithm);
+      const expected = (config.prefix || '') + (config.encoding === 'base64' ? toBase64(mac) : toHex(mac));
+      return timingSafeEqual(signature, expected) ? { ok: true } : { ok: false, reason: 'signature mismatch' };
+    }
+
+    default:
+      return { ok: false, reason: `unsupported source type: ${config.type}` };
+  }
 }
 
 async function getStats(env) {
@@ -962,6 +6538,244 @@ async function updateClaudeMaxUsage(env, tokensIn, tokensOut) {
   await env.MEMORY.put(key, JSON.stringify(toStore));
 }
 
+// ==================== BUDGETS ====================
+
+const BUDGET_DIMENSIONS = ['provider', 'model', 'task_type'];
+const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+const BUDGET_THRESHOLDS = [50, 80, 100];
+
+// Returns an error message or null
+function validateBudget(budget) {
+  if (typeof budget.name !== 'string' || !budget.name.trim()) return 'name is required';
+  if (!BUDGET_DIMENSIONS.includes(budget.dimension)) return `dimension must be one of: ${BUDGET_DIMENSIONS.join(', ')}`;
+  if (typeof budget.value !== 'string' || !budget.value) return `value must be a ${budget.dimension} name, or "*" for all`;
+  if (!BUDGET_PERIODS.includes(budget.period)) return `period must be one of: ${BUDGET_PERIODS.join(', ')}`;
+  if (typeof budget.limit !== 'number' || !(budget.limit > 0)) return 'limit must be a positive amount';
+  if (!Array.isArray(budget.thresholds) || !budget.thresholds.length ||
+      budget.thresholds.some((t, i) => !Number.isInteger(t) || t < 1 || t > 1000 || (i && t <= budget.thresholds[i - 1]))) {
+    return 'thresholds must be ascending integer percentages between 1 and 1000';
+  }
+  if (typeof budget.enabled !== 'boolean') return 'enabled must be a boolean';
+  return null;
+}
+
+// Current period in UTC, matching the daily stats; weeks start on Monday like the Claude Max reset
+function budgetPeriod(period, now = Date.now()) {
+  const d = new Date(now);
+  let start;
+  let end;
+  if (period === 'daily') {
+    start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    end = start + 86400000;
+  } else if (period === 'weekly') {
+    start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - ((d.getUTCDay() + 6) % 7) * 86400000;
+    end = start + 7 * 86400000;
+  } else {
+    start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+    end = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  }
+  return { start, end };
+}
+
+// analytics.created_at uses SQLite's datetime() format
+function sqliteTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+async function getBudgets(env) {
+  const entries = await listAllKV(env, 'budget:');
+  return entries.map(e => ({ id: e.name, ...e.value }));
+}
+
+function budgetMatches(budget, usage) {
+  return budget.value === '*' || usage[budget.dimension] === budget.value;
+}
+
+// Spend so far this period, what is left and where the period ends up at the current rate
+async function budgetStatus(env, budget, now = Date.now()) {
+  const { start, end } = budgetPeriod(budget.period, now);
+  const filter = budget.value === '*' ? '' : ` AND ${budget.dimension} = ?`;
+  const spent = roundMoney(await env.DB.prepare(
+    `SELECT COALESCE(SUM(cost), 0) AS spent FROM analytics WHERE created_at >= ? AND created_at < ?${filter}`
+  ).bind(sqliteTime(start), sqliteTime(end), ...(budget.value === '*' ? [] : [budget.value])).first('spent'));
+  const elapsed = Math.max(now - start, 60000); // avoid wild projections in the first minute
+  const projected = roundMoney(spent * (end - start) / Math.min(elapsed, end - start));
+  const alerts = await env.DB.prepare(
+    'SELECT threshold FROM budget_alerts WHERE budget_id = ? AND period_start = ? ORDER BY threshold'
+  ).bind(budget.id, new Date(start).toISOString()).all();
+  return {
+    ...budget,
+    period_start: new Date(start).toISOString(),
+    period_end: new Date(end).toISOString(),
+    spent,
+    remaining: roundMoney(Math.max(0, budget.limit - spent)),
+    percent: Math.round((spent / budget.limit) * 1000) / 10,
+    projected,
+    projected_over: projected > budget.limit,
+    exceeded: spent >= budget.limit,
+    alerts_sent: alerts.results.map(a => a.threshold),
+  };
+}
+
+// After a usage record: each threshold fires once per budget and period, and the budget_alerts
+// primary key decides which of several concurrent requests sends it. A record crossing several
+// thresholds at once sends one message for the highest.
+async function checkBudgets(env, usage) {
+  const budgets = (await getBudgets(env)).filter(b => b.enabled && budgetMatches(b, usage));
+  let exceeded = false;
+  for (const budget of budgets) {
+    const status = await budgetStatus(env, budget);
+    if (status.exceeded) exceeded = true;
+    const crossed = [];
+    for (const threshold of budget.thresholds.filter(t => status.spent >= budget.limit * t / 100)) {
+      const claimed = await env.DB.prepare(
+        'INSERT OR IGNORE INTO budget_alerts (budget_id, period_start, threshold, spent, sent_at) VALUES (?, ?, ?, ?, ?)'
+      ).bind(budget.id, status.period_start, threshold, status.spent, new Date().toISOString()).run();
+      if (claimed.meta.changes) crossed.push(threshold);
+    }
+    if (!crossed.length) continue;
+    const threshold = Math.max(...crossed);
+    const severity = threshold >= 100 ? 'critical' : threshold >= 80 ? 'warning' : 'info';
+    await notify(env, 'budget', severity,
+      `💸 Budget <b>${escapeHtml(budget.name)}</b> at ${status.percent}%: $${status.spent.toFixed(2)} of $${budget.limit.toFixed(2)} ${budget.period} ` +
+      `(${escapeHtml(budget.dimension)} ${escapeHtml(budget.value)}), projected $${status.projected.toFixed(2)}`);
+    await log(env, 'budget', `${budget.name} crossed ${threshold}% ($${status.spent} of $${budget.limit})`);
+  }
+  return { exceeded };
+}
+
+// Two months of history covers the longest period
+async function pruneBudgetAlerts(env) {
+  const cutoff = new Date(Date.now() - 62 * 86400000).toISOString();
+  await env.DB.prepare('DELETE FROM budget_alerts WHERE period_start < ?').bind(cutoff).run();
+}
+
+// ==================== MODEL ROUTING ====================
+
+// Default routing policy. Stored overrides live in KV config:routing and feed both
+// POST /api/route and the dashboard, so the two can't drift apart.
+const DEFAULT_ROUTING = {
+  tiers: {
+    T0: { name: 'Opus 4.6 (ME)', desc: 'Orchestration • Security • Architecture • Planning • Decisions', note: '$100/mo Max | I decide, delegate, review', color: '#a78bfa' },
+    T1: { name: 'Codex CLI', desc: 'Implementation • Refactoring • Tests • Bulk Coding', note: 'GPT-5.2-Codex | ChatGPT limits', color: '#ef4444' },
+    T2: { name: 'Sonnet/Haiku', desc: 'Research • Code Review • Exploration • Simple Tasks', note: 'Claude subagents | Parallel', color: '#f59e0b' },
+    T3: { name: 'Free/Z.ai', desc: 'Formatting • Translation • Trivial • Fallback', note: 'OpenRouter / Gemini / $3 GLM', color: '#10b981' },
+  },
+  // claude_max: counts against the Claude Max 5h window and weekly budget
+  models: {
+    opus: { label: 'Opus', tier: 'T0', provider: 'anthropic', model: 'claude-opus-4-6', claude_max: true },
+    codex: { label: 'Codex', tier: 'T1', provider: 'openai', model: 'gpt-5.2-codex', claude_max: false },
+    sonnet: { label: 'Sonnet', tier: 'T2', provider: 'anthropic', model: 'claude-sonnet-4-5', claude_max: true },
+    haiku: { label: 'Haiku', tier: 'T2', provider: 'anthropic', model: 'claude-haiku-4-5', claude_max: true },
+    brave: { label: 'Brave', tier: 'T3', provider: 'brave', model: 'brave-search', claude_max: false },
+    free: { label: 'Free', tier: 'T3', provider: 'openrouter', model: 'openrouter/free', claude_max: false },
+  },
+  rules: [
+    { task_type: 'orchestration', label: '🎯 Orchestration', primary: 'opus', fallback: null, parallel: false, instances: 1 },
+    { task_type: 'planning', label: '🎯 Planning/Architecture', primary: 'opus', fallback: null, parallel: false, instances: 1 },
+    { task_type: 'security', label: '🔒 Security Audit', primary: 'opus', fallback: null, parallel: false, instances: 1 },
+    { task_type: 'coding', label: '💻 Implementation', primary: 'codex', fallback: 'opus', parallel: true, instances: 1 },
+    { task_type: 'refactoring', label: '🔧 Refactoring', primary: 'codex', fallback: 'opus', parallel: true, instances: 1 },
+    { task_type: 'testing', label: '🧪 Tests Writing', primary: 'codex', fallback: 'sonnet', parallel: true, instances: 1 },
+    { task_type: 'review', label: '📝 Code Review', primary: 'haiku', fallback: null, parallel: true, instances: 3 },
+    { task_type: 'research', label: '🔍 Research', primary: 'haiku', fallback: 'brave', parallel: true, instances: 1 },
+    { task_type: 'general', label: '⚡ Simple/Trivial', primary: 'free', fallback: 'haiku', parallel: false, instances: 1 },
+  ],
+  default_task_type: 'general',
+  // Share of the Claude Max window / weekly budget after which Claude Max models are avoided
+  window_threshold: 0.9,
+  weekly_threshold: 0.9,
+};
+
+async function getRoutingConfig(env) {
+  const stored = env.MEMORY ? await env.MEMORY.get('config:routing', 'json') : null;
+  return stored || DEFAULT_ROUTING;
+}
+
+// Returns { error, field } or null
+function validateRoutingConfig(config) {
+  if (!config || typeof config !== 'object') return { error: 'body must be a JSON object' };
+  const { tiers, models, rules } = config;
+  if (!tiers || typeof tiers !== 'object' || !Object.keys(tiers).length) return { error: 'tiers must be a non-empty object', field: 'tiers' };
+  for (const [id, tier] of Object.entries(tiers)) {
+    if (typeof tier?.name !== 'string' || !tier.name) return { error: `tiers.${id}.name is required`, field: 'tiers' };
+    if (tier.color !== undefined && !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(tier.color)) {
+      return { error: `tiers.${id}.color must be a hex color like #a78bfa`, field: 'tiers' };
+    }
+  }
+  if (!models || typeof models !== 'object' || !Object.keys(models).length) return { error: 'models must be a non-empty object', field: 'models' };
+  for (const [id, model] of Object.entries(models)) {
+    if (!tiers[model?.tier]) return { error: `models.${id}.tier must be one of: ${Object.keys(tiers).join(', ')}`, field: 'models' };
+    if (typeof model.model !== 'string' || !model.model) return { error: `models.${id}.model is required`, field: 'models' };
+  }
+  if (!Array.isArray(rules) || !rules.length) return { error: 'rules must be a non-empty array', field: 'rules' };
+  const seen = new Set();
+  for (const rule of rules) {
+    if (typeof rule?.task_type !== 'string' || !rule.task_type) return { error: 'each rule needs a task_type', field: 'rules' };
+    if (seen.has(rule.task_type)) return { error: `duplicate rule for ${rule.task_type}`, field: 'rules' };
+    seen.add(rule.task_type);
+    if (!models[rule.primary]) return { error: `rule ${rule.task_type}: unknown primary model ${rule.primary}`, field: 'rules' };
+    if (rule.fallback != null && !models[rule.fallback]) return { error: `rule ${rule.task_type}: unknown fallback model ${rule.fallback}`, field: 'rules' };
+    if (rule.instances !== undefined && (!Number.isInteger(rule.instances) || rule.instances < 1)) {
+      return { error: `rule ${rule.task_type}: instances must be a positive integer`, field: 'rules' };
+    }
+  }
+  if (config.default_task_type !== undefined && !seen.has(config.default_task_type)) {
+    return { error: 'default_task_type must match a rule', field: 'default_task_type' };
+  }
+  for (const field of ['window_threshold', 'weekly_threshold']) {
+    const value = config[field];
+    if (value !== undefined && (typeof value !== 'number' || value <= 0 || value > 1)) {
+      return { error: `${field} must be a number in (0, 1]`, field };
+    }
+  }
+  return null;
+}
+
+// Pick a model for a task type, stepping off Claude Max models when its budget is nearly spent
+function routeTask(config, taskType, maxUsage) {
+  const rule = config.rules.find(r => r.task_type === taskType)
+    || config.rules.find(r => r.task_type === (config.default_task_type || 'general'))
+    || config.rules[0];
+
+  const windowUsed = (maxUsage.tokensUsed || 0) / (maxUsage.tokensLimit || 88000);
+  const weeklyUsed = (maxUsage.weeklyTokensUsed || 0) / (maxUsage.weeklyTokensLimit || 400000);
+  const windowExhausted = windowUsed >= (config.window_threshold ?? 0.9);
+  const weeklyExhausted = weeklyUsed >= (config.weekly_threshold ?? 0.9);
+
+  let choice = rule.primary;
+  let reason = 'primary';
+  if ((windowExhausted || weeklyExhausted) && config.models[rule.primary].claude_max) {
+    const budget = windowExhausted ? '5h window' : 'weekly budget';
+    if (rule.fallback && !config.models[rule.fallback].claude_max) {
+      choice = rule.fallback;
+      reason = `Claude Max ${budget} nearly exhausted`;
+    } else {
+      reason = `Claude Max ${budget} nearly exhausted, no non-Claude-Max fallback`;
+    }
+  }
+
+  const model = config.models[choice];
+  return {
+    task_type: rule.task_type,
+    matched: rule.task_type === taskType,
+    model: model.model,
+    provider: model.provider,
+    tier: model.tier,
+    tier_name: config.tiers[model.tier]?.name,
+    fallback_used: choice !== rule.primary,
+    reason,
+    parallel: !!rule.parallel,
+    instances: rule.instances || 1,
+    claude_max: {
+      window_used: Math.round(windowUsed * 1000) / 1000,
+      weekly_used: Math.round(weeklyUsed * 1000) / 1000,
+      window_exhausted: windowExhausted,
+      weekly_exhausted: weeklyExhausted,
+    },
+  };
+}
+
 async function getModelStats(env) {
   if (!env.MEMORY) return getDefaultModelStats();
   const stats = await env.MEMORY.get('model_stats');
@@ -1051,7 +6865,7 @@ async function updateModelStats(env, usage) {
   await env.MEMORY.put('model_stats', JSON.stringify(stats));
 }
 
-function dashboardPage(stats, cfUsage = {}, maxUsage = {}) {
+function dashboardPage(stats, cfUsage = {}, maxUsage = {}, routing = DEFAULT_ROUTING) {
   const providers = stats.providers || {};
   const totals = stats.totals || { requests: 0, tokens_in: 0, tokens_out: 0 };
   const taskTypes = stats.task_types || {};
@@ -1168,12 +6982,33 @@ function dashboardPage(stats, cfUsage = {}, maxUsage = {}) {
     </div>`;
   }).join('') : '<div class="dim">No daily data</div>';
 
+  // Routing tiers and matrix, rendered from the same rules POST /api/route uses. The config is
+  // writable through the API and this page is public, so every value is escaped.
+  const tierColor = tier => escapeHtml(tier?.color || '#888');
+  const tiersHTML = Object.entries(routing.tiers).map(([id, tier]) => `
+        <div class="tier" style="border-color:${tierColor(tier)};">
+          <div class="tier-name" style="color:${tierColor(tier)};">${escapeHtml(id)}: ${escapeHtml(tier.name)}</div>
+          <div class="tier-desc">${escapeHtml(tier.desc || '')}</div>
+          <div style="font-size:0.65rem;color:${tierColor(tier)};margin-top:0.25rem;">${escapeHtml(tier.note || '')}</div>
+        </div>`).join('');
+  const modelCell = (id, instances = 1) => {
+    const model = routing.models[id];
+    if (!model) return '<td>-</td>';
+    return `<td style="color:${tierColor(routing.tiers[model.tier])};">${escapeHtml(model.label || id)}${instances > 1 ? ` x${escapeHtml(instances)}` : ''}</td>`;
+  };
+  const routingRowsHTML = routing.rules.map(rule => {
+    const color = tierColor(routing.tiers[routing.models[rule.primary]?.tier]);
+    const parallel = rule.parallel ? (rule.instances > 1 ? `Yes (${escapeHtml(rule.instances)} parallel)` : 'Yes') : 'No';
+    return `<tr><td style="text-align:left;color:${color};">${escapeHtml(rule.label || rule.task_type)}</td>${modelCell(rule.primary, rule.instances)}${modelCell(rule.fallback)}<td>${parallel}</td></tr>`;
+  }).join('');
+  const leadTier = escapeHtml(routing.tiers[Object.keys(routing.tiers)[0]]?.name.replace(/\s*\(.*\)$/, '') || 'Opus');
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Opus 4.6 Control Panel</title>
+  <title>${leadTier} Control Panel</title>
   <style>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body { font-family: -apple-system, system-ui, sans-serif; background: #0a0a0f; color: #f0f0f5; }
@@ -1202,9 +7037,6 @@ function dashboardPage(stats, cfUsage = {}, maxUsage = {}) {
     .badge { display: inline-block; padding: 0.2rem 0.6rem; border-radius: 1rem; font-size: 0.75rem; font-weight: 500; }
 
     .tier { padding: 0.75rem; background: #12121a; border-radius: 0.5rem; border-left: 3px solid; }
-    .tier-purple { border-color: #a78bfa; }
-    .tier-yellow { border-color: #f59e0b; }
-    .tier-green { border-color: #10b981; }
     .tier-name { font-weight: 600; font-size: 0.9rem; }
     .tier-desc { font-size: 0.75rem; color: #888; margin-top: 0.25rem; }
 
@@ -1240,7 +7072,7 @@ function dashboardPage(stats, cfUsage = {}, maxUsage = {}) {
 <body>
   <div class="container">
     <div class="header">
-      <h1>🟣 Opus 4.6 Control Panel</h1>
+      <h1>🟣 ${leadTier} Control Panel</h1>
       <div class="status">
         <span class="dot" style="background:${statusColor}"></span>
         <span>${maxPercentUsed >= 100 ? 'LIMIT REACHED' : maxPercentUsed > 80 ? 'Near Limit' : 'Available'}</span>
@@ -1290,27 +7122,7 @@ function dashboardPage(stats, cfUsage = {}, maxUsage = {}) {
     <!-- ROUTING RULES -->
     <div class="card" style="margin-bottom:1rem;">
       <div class="card-title" style="margin-bottom:1rem;">🧠 Task Routing Strategy</div>
-      <div class="grid" style="grid-template-columns: repeat(4, 1fr); gap:0.5rem;">
-        <div class="tier tier-purple">
-          <div class="tier-name">T0: Opus 4.5 (ME)</div>
-          <div class="tier-desc">Orchestration • Security • Architecture • Planning • Decisions</div>
-          <div style="font-size:0.65rem;color:#a78bfa;margin-top:0.25rem;">$100/mo Max | I decide, delegate, review</div>
-        </div>
-        <div class="tier" style="border-color:#ef4444;">
-          <div class="tier-name" style="color:#ef4444;">T1: Codex CLI</div>
-          <div class="tier-desc">Implementation • Refactoring • Tests • Bulk Coding</div>
-          <div style="font-size:0.65rem;color:#ef4444;margin-top:0.25rem;">GPT-5.2-Codex | ChatGPT limits</div>
-        </div>
-        <div class="tier tier-yellow">
-          <div class="tier-name">T2: Sonnet/Haiku</div>
-          <div class="tier-desc">Research • Code Review • Exploration • Simple Tasks</div>
-          <div style="font-size:0.65rem;color:#f59e0b;margin-top:0.25rem;">Claude subagents | Parallel</div>
-        </div>
-        <div class="tier tier-green">
-          <div class="tier-name">T3: Free/Z.ai</div>
-          <div class="tier-desc">Formatting • Translation • Trivial • Fallback</div>
-          <div style="font-size:0.65rem;color:#10b981;margin-top:0.25rem;">OpenRouter / Gemini / $3 GLM</div>
-        </div>
+      <div class="grid" style="grid-template-columns: repeat(${Object.keys(routing.tiers).length}, 1fr); gap:0.5rem;">${tiersHTML}
       </div>
       <div style="margin-top:0.75rem;padding:0.5rem;background:rgba(255,255,255,0.02);border-radius:0.5rem;font-size:0.7rem;color:#888;">
         <strong style="color:#a78bfa;">Flow:</strong> Task → <span style="color:#a78bfa;">Opus analyzes</span> → Routes to optimal tier → <span style="color:#a78bfa;">Opus reviews & synthesizes</span>
@@ -1324,15 +7136,7 @@ function dashboardPage(stats, cfUsage = {}, maxUsage = {}) {
         <thead>
           <tr><th style="text-align:left;">Task Type</th><th>Primary</th><th>Fallback</th><th>Parallel?</th></tr>
         </thead>
-        <tbody>
-          <tr><td style="text-align:left;color:#a78bfa;">🎯 Planning/Architecture</td><td style="color:#a78bfa;">Opus</td><td>-</td><td>No</td></tr>
-          <tr><td style="text-align:left;color:#f43f5e;">🔒 Security Audit</td><td style="color:#a78bfa;">Opus</td><td>-</td><td>No</td></tr>
-          <tr><td style="text-align:left;color:#ef4444;">💻 Implementation</td><td style="color:#ef4444;">Codex</td><td style="color:#a78bfa;">Opus</td><td>Yes</td></tr>
-          <tr><td style="text-align:left;color:#06b6d4;">🔧 Refactoring</td><td style="color:#ef4444;">Codex</td><td style="color:#a78bfa;">Opus</td><td>Yes</td></tr>
-          <tr><td style="text-align:left;color:#10b981;">🧪 Tests Writing</td><td style="color:#ef4444;">Codex</td><td style="color:#f59e0b;">Sonnet</td><td>Yes</td></tr>
-          <tr><td style="text-align:left;color:#8b5cf6;">📝 Code Review</td><td style="color:#f59e0b;">Haiku x3</td><td>-</td><td>Yes (3 parallel)</td></tr>
-          <tr><td style="text-align:left;color:#818cf8;">🔍 Research</td><td style="color:#f59e0b;">Haiku</td><td style="color:#10b981;">Brave</td><td>Yes</td></tr>
-          <tr><td style="text-align:left;color:#888;">⚡ Simple/Trivial</td><td style="color:#10b981;">Free</td><td style="color:#f59e0b;">Haiku</td><td>No</td></tr>
+        <tbody>${routingRowsHTML}
         </tbody>
       </table>
     </div>
@@ -1415,7 +7219,7 @@ function dashboardPage(stats, cfUsage = {}, maxUsage = {}) {
 
     <footer>
       <div style="display:flex;justify-content:space-between;align-items:center;">
-        <span>Opus 4.5 Dashboard v3.1 | Sessions: ${maxSessions}</span>
+        <span>${leadTier} Dashboard v3.1 | Sessions: ${maxSessions}</span>
         <span id="clock" style="color:#a78bfa;font-weight:500;"></span>
       </div>
     </footer>
@@ -1478,6 +7282,196 @@ function formatTokens(num) {
   return num.toString();
 }
 
+// Standalone page for GET /notes/:id?format=html
+function noteHtmlPage(note) {
+  const tags = (note.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(note.title || 'Untitled')}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #0a0a0a; color: #e0e0e0; max-width: 760px; margin: 0 auto; padding: 2rem; line-height: 1.6; }
+    h1, h2, h3, h4, h5, h6 { color: #00ff88; margin: 1.2em 0 0.5em; }
+    a { color: #00ccff; }
+    code { background: rgba(255,255,255,0.08); padding: 0.1em 0.3em; border-radius: 0.25rem; }
+    pre { background: rgba(255,255,255,0.05); padding: 1rem; border-radius: 0.5rem; overflow-x: auto; }
+    pre code { background: none; padding: 0; }
+    blockquote { border-left: 3px solid #00ff88; margin: 0; padding-left: 1rem; color: #aaa; }
+    hr { border: none; border-top: 1px solid rgba(255,255,255,0.1); }
+    .meta { color: #888; font-size: 0.85rem; }
+    .tag { background: rgba(0,255,136,0.1); border: 1px solid #00ff88; border-radius: 1rem; padding: 0 0.5rem; font-size: 0.75rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(note.title || 'Untitled')}</h1>
+  <p class="meta">Revision ${note.revision || 1} · updated ${escapeHtml(note.updated || note.created || '')} ${tags}</p>
+  ${renderMarkdown(note.content)}
+</body>
+</html>`;
+}
+
+// Read-only note browser. Notes need an API key, so the page keeps one in localStorage and
+// renders each note's HTML in a sandboxed iframe.
+function noteViewerPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Arni - Notes</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', monospace; background: linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 100%); color: #e0e0e0; min-height: 100vh; padding: 2rem; }
+    .container { max-width: 1100px; margin: 0 auto; }
+    h1 { color: #00ff88; margin-bottom: 1rem; }
+    .bar { display: flex; gap: 0.5rem; margin-bottom: 1rem; }
+    input { flex: 1; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.2); color: #e0e0e0; padding: 0.5rem; border-radius: 0.5rem; }
+    button { background: #00ff88; color: #000; border: none; padding: 0.5rem 1rem; border-radius: 0.5rem; font-weight: bold; cursor: pointer; }
+    .layout { display: grid; grid-template-columns: 280px 1fr; gap: 1rem; }
+    .list { background: rgba(255,255,255,0.05); border-radius: 1rem; padding: 0.5rem; max-height: 80vh; overflow-y: auto; }
+    .item { padding: 0.5rem; border-radius: 0.5rem; cursor: pointer; }
+    .item:hover, .item.active { background: rgba(0,255,136,0.1); }
+    .item small { display: block; color: #888; }
+    iframe { width: 100%; height: 80vh; border: none; border-radius: 1rem; background: #0a0a0a; }
+    #revisions { color: #888; font-size: 0.8rem; margin-top: 0.5rem; }
+    #error { color: #f44336; margin-bottom: 1rem; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>📝 Notes</h1>
+    <div class="bar">
+      <input id="key" type="password" placeholder="API key (notes:read)">
+      <button onclick="saveKey()">Load</button>
+    </div>
+    <div id="error"></div>
+    <div class="layout">
+      <div class="list" id="notes"></div>
+      <div>
+        <iframe id="view" sandbox></iframe>
+        <div id="revisions"></div>
+      </div>
+    </div>
+    <p style="text-align:center;color:#666;margin-top:2rem;font-size:0.8rem;"><a href="/" style="color:#00ff88">← Arni</a></p>
+  </div>
+  <script>
+    const keyInput = document.getElementById('key');
+    keyInput.value = localStorage.getItem('arni_api_key') || '';
+
+    function saveKey() {
+      localStorage.setItem('arni_api_key', keyInput.value);
+      loadNotes();
+    }
+
+    async function api(path) {
+      const res = await fetch(path, { headers: { 'X-Api-Key': keyInput.value } });
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+      return res;
+    }
+
+    async function loadNotes() {
+      const list = document.getElementById('notes');
+      const error = document.getElementById('error');
+      list.replaceChildren();
+      error.textContent = '';
+      try {
+        // The API pages KV lists at 100 keys; follow next_cursor to get them all
+        const notes = [];
+        let cursor = '';
+        do {
+          const page = await (await api('/notes?limit=100' + (cursor ? '&cursor=' + encodeURIComponent(cursor) : ''))).json();
+          notes.push(...page.notes);
+          cursor = page.next_cursor;
+        } while (cursor);
+        notes.sort((a, b) => (b.updated || '').localeCompare(a.updated || ''));
+        for (const note of notes) {
+          const item = document.createElement('div');
+          item.className = 'item';
+          item.textContent = note.title || 'Untitled';
+          const meta = document.createElement('small');
+          meta.textContent = (note.updated || '').slice(0, 16).replace('T', ' ');
+          item.appendChild(meta);
+          item.onclick = () => openNote(note.id, item);
+          list.appendChild(item);
+        }
+        if (!notes.length) list.textContent = 'No notes yet';
+      } catch (e) {
+        error.textContent = e.message;
+      }
+    }
+
+    async function openNote(id, item) {
+      document.querySelectorAll('.item').forEach(el => el.classList.remove('active'));
+      item.classList.add('active');
+      const noteId = id.replace('note:', '');
+      try {
+        document.getElementById('view').srcdoc = await (await api('/notes/' + noteId + '?format=html')).text();
+        const { revisions } = await (await api('/notes/' + noteId + '/revisions')).json();
+        document.getElementById('revisions').textContent = 'Revisions: ' + revisions
+          .map(r => 'r' + r.revision + ' (' + (r.updated || '').slice(0, 10) + ')').join(', ');
+      } catch (e) {
+        document.getElementById('error').textContent = e.message;
+      }
+    }
+
+    if (keyInput.value) loadNotes();
+  </script>
+</body>
+</html>`;
+}
+
+// Public uptime page; shows names only, never URLs
+function monitorStatusPage(monitors) {
+  const overall = monitors.some(m => m.state === 'down') ? 'down' : monitors.some(m => m.state === 'degraded') ? 'degraded' : 'up';
+  const headline = { up: 'All systems operational', degraded: 'Degraded performance', down: 'Partial outage' }[overall];
+  const pct = value => value === null ? '–' : `${value.toFixed(2)}%`;
+  const rows = monitors.map(m => `
+    <div class="monitor">
+      <div class="row"><span class="dot ${escapeHtml(m.state)}"></span><strong>${escapeHtml(m.name)}</strong><span class="state">${escapeHtml(m.state)}</span></div>
+      <div class="bars">${m.recent.map(c => `<span class="bar ${escapeHtml(c.status)}" title="${escapeHtml(c.checked_at)} ${escapeHtml(c.status)}"></span>`).join('')}</div>
+      <div class="meta">24h ${pct(m.uptime['24h'].uptime)} · 7d ${pct(m.uptime['7d'].uptime)} · 30d ${pct(m.uptime['30d'].uptime)} · p95 ${m.p95 === null ? '–' : `${m.p95} ms`}</div>
+    </div>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="refresh" content="60">
+  <title>Arni - Status</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', monospace; background: linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 100%); color: #e0e0e0; min-height: 100vh; padding: 2rem; }
+    .container { max-width: 760px; margin: 0 auto; }
+    h1 { color: #00ff88; margin-bottom: 0.5rem; }
+    .headline { padding: 1rem; border-radius: 0.5rem; margin: 1rem 0 2rem; background: rgba(255,255,255,0.05); border-left: 4px solid #00ff88; }
+    .headline.degraded { border-color: #ffaa00; }
+    .headline.down { border-color: #ff4466; }
+    .monitor { background: rgba(255,255,255,0.05); border-radius: 0.5rem; padding: 1rem; margin-bottom: 1rem; }
+    .row { display: flex; align-items: center; gap: 0.5rem; }
+    .state { margin-left: auto; color: #888; font-size: 0.85rem; }
+    .dot { width: 0.7rem; height: 0.7rem; border-radius: 50%; background: #555; }
+    .bars { display: flex; gap: 2px; margin: 0.75rem 0 0.5rem; height: 1.5rem; }
+    .bar { flex: 1; border-radius: 2px; background: #555; }
+    .up { background: #00ff88; }
+    .degraded { background: #ffaa00; }
+    .down { background: #ff4466; }
+    .meta { color: #888; font-size: 0.8rem; }
+    .footer { color: #666; font-size: 0.8rem; margin-top: 2rem; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Status</h1>
+    <div class="headline ${overall}">${headline}</div>
+    ${rows || '<p class="meta">No monitors yet.</p>'}
+    <p class="footer">Updated ${escapeHtml(new Date().toISOString())} · refreshes every minute</p>
+  </div>
+</body>
+</html>`;
+}
+
 function statusPage() {
   return `<!DOCTYPE html>
 <html lang="en">
@@ -1564,12 +7558,25 @@ function statusPage() {
       <div class="endpoint"><span class="method">GET</span><span class="path">/health</span><span class="desc">Health check + stats</span></div>
       <div class="endpoint"><span class="method">GET</span><span class="path">/stats</span><span class="desc">Usage statistics</span></div>
       <div class="endpoint"><span class="method">GET</span><span class="path">/api/ping</span><span class="desc">Ping</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/status</span><span class="desc">Uptime page</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/monitors</span><span class="desc">Uptime monitors</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/incidents</span><span class="desc">Monitor incidents</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/notifications/channels</span><span class="desc">Alert channels</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/api/notifications/test</span><span class="desc">Send test alert</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/notifications/deliveries</span><span class="desc">Alert delivery log</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/telegram/webhook</span><span class="desc">Telegram bot commands</span></div>
     </div>
 
     <div class="section">
       <h2>Webhooks</h2>
       <div class="endpoint"><span class="method post">POST</span><span class="path">/webhook</span><span class="desc">Receive webhook</span></div>
       <div class="endpoint"><span class="method">GET</span><span class="path">/webhooks</span><span class="desc">List received webhooks</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/webhooks/:id</span><span class="desc">Delivery headers + data</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/webhooks/:id/replay</span><span class="desc">Replay or forward delivery</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/webhook-sources</span><span class="desc">List signed sources</span></div>
+      <div class="endpoint"><span class="method put">PUT</span><span class="path">/api/webhook-sources/:name</span><span class="desc">Register source secret</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/webhook-rules</span><span class="desc">List routing rules</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/api/webhook-rules</span><span class="desc">Create routing rule</span></div>
     </div>
 
     <div class="section">
@@ -1578,11 +7585,18 @@ function statusPage() {
       <div class="endpoint"><span class="method">GET</span><span class="path">/memory/:key</span><span class="desc">Read value</span></div>
       <div class="endpoint"><span class="method put">PUT</span><span class="path">/memory/:key</span><span class="desc">Store value</span></div>
       <div class="endpoint"><span class="method delete">DEL</span><span class="path">/memory/:key</span><span class="desc">Delete value</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/memory/:key/history</span><span class="desc">Previous versions</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/memory/export</span><span class="desc">NDJSON export</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/memory/import</span><span class="desc">NDJSON import</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/memory/:key/restore</span><span class="desc">Restore version</span></div>
     </div>
 
     <div class="section">
       <h2>Tasks</h2>
-      <div class="endpoint"><span class="method">GET</span><span class="path">/tasks</span><span class="desc">List tasks</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/tasks</span><span class="desc">List tasks (filters + sort)</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/tasks/:id</span><span class="desc">Task + subtasks, deps, history</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/tasks/graph</span><span class="desc">Dependency graph</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/tasks/:id/dependencies</span><span class="desc">Add blocker</span></div>
       <div class="endpoint"><span class="method post">POST</span><span class="path">/tasks</span><span class="desc">Create task</span></div>
       <div class="endpoint"><span class="method put">PUT</span><span class="path">/tasks/:id</span><span class="desc">Update task</span></div>
       <div class="endpoint"><span class="method delete">DEL</span><span class="path">/tasks/:id</span><span class="desc">Delete task</span></div>
@@ -1591,6 +7605,11 @@ function statusPage() {
     <div class="section">
       <h2>Notes</h2>
       <div class="endpoint"><span class="method">GET</span><span class="path">/notes</span><span class="desc">List notes</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path"><a href="/notes/view" style="color:#fff">/notes/view</a></span><span class="desc">Note viewer</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/notes/:id?format=html</span><span class="desc">Rendered note</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/notes/:id/revisions</span><span class="desc">Revision list</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/notes/:id/diff</span><span class="desc">Diff two revisions</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/notes/:id/restore</span><span class="desc">Restore revision</span></div>
       <div class="endpoint"><span class="method post">POST</span><span class="path">/notes</span><span class="desc">Create note</span></div>
       <div class="endpoint"><span class="method put">PUT</span><span class="path">/notes/:id</span><span class="desc">Update note</span></div>
       <div class="endpoint"><span class="method delete">DEL</span><span class="path">/notes/:id</span><span class="desc">Delete note</span></div>
@@ -1601,10 +7620,44 @@ function statusPage() {
       <div class="endpoint"><span class="method">GET</span><span class="path">/logs</span><span class="desc">Activity logs</span></div>
       <div class="endpoint"><span class="method">GET</span><span class="path">/config</span><span class="desc">Get config</span></div>
       <div class="endpoint"><span class="method put">PUT</span><span class="path">/config</span><span class="desc">Update config</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/routing</span><span class="desc">Routing rules</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/api/route</span><span class="desc">Recommend model</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/budgets</span><span class="desc">Spend vs budgets</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/api/dispatch/claim</span><span class="desc">Claim next task</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/search?q=</span><span class="desc">Full-text search</span></div>
       <div class="endpoint"><span class="method post">POST</span><span class="path">/proxy</span><span class="desc">HTTP proxy</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/queue/jobs/:id</span><span class="desc">Job status</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/queue/dead-letter</span><span class="desc">Failed jobs</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/schedules</span><span class="desc">Scheduled jobs</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/notion/sync</span><span class="desc">Notion sync status</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/backups</span><span class="desc">R2 snapshots</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/api/backups/:id/restore</span><span class="desc">Restore snapshot</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/backups/restores/:id</span><span class="desc">Restore progress</span></div>
+    </div>
+
+    <div class="section">
+      <h2>Invoices</h2>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/invoices</span><span class="desc">Fakturownia invoices</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/invoices/report</span><span class="desc">Totals per client/month</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/invoice-templates</span><span class="desc">Recurring templates</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/api/invoice-templates/:id/run</span><span class="desc">Issue invoice now</span></div>
+    </div>
+
+    <div class="section">
+      <h2>Subscriptions</h2>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/subscriptions</span><span class="desc">List subscriptions</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/api/subscriptions</span><span class="desc">Subscribe URL to events</span></div>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/subscriptions/:id/deliveries</span><span class="desc">Delivery log</span></div>
+    </div>
+
+    <div class="section">
+      <h2>API Keys</h2>
+      <div class="endpoint"><span class="method">GET</span><span class="path">/api/keys</span><span class="desc">List keys</span></div>
+      <div class="endpoint"><span class="method post">POST</span><span class="path">/api/keys</span><span class="desc">Create scoped key</span></div>
+      <div class="endpoint"><span class="method delete">DEL</span><span class="path">/api/keys/:id</span><span class="desc">Revoke key</span></div>
     </div>
 
-    <p class="footer">v2.1.0 | Cloudflare Workers + KV | <a href="/dashboard" style="color:#00ff88">Dashboard</a></p>
+    <p class="footer">v2.1.0 | Cloudflare Workers + KV | <a href="/dashboard" style="color:#00ff88">Dashboard</a> | <a href="/notes/view" style="color:#00ff88">Notes</a></p>
   </div>
 </body>
 </html>`;